@@ -0,0 +1,178 @@
+// aggregation pipelines behind the admin analytics endpoints. dates are
+// stored as ISO strings, so each pipeline converts before bucketing.
+const { NET_AMOUNT_MINOR, COUNTED_PAYMENT_STATUSES } = require("./campaigns");
+
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+
+// how far back a series goes when the caller gives no `from`
+const DEFAULT_SPAN_DAYS = { day: 30, week: 182, month: 365 };
+
+const timezone = () => process.env.APP_TIMEZONE || "Asia/Dhaka";
+
+// { $gte, $lte } for an ISO string field
+const analyticsRange = ({ interval, from, to }) => {
+  const end = to || new Date().toISOString();
+  const start =
+    from ||
+    new Date(
+      new Date(end).getTime() - DEFAULT_SPAN_DAYS[interval] * 86400000
+    ).toISOString();
+  return { $gte: start, $lte: end };
+};
+
+// the start of the day/week/month `field` falls in, as YYYY-MM-DD local time
+const periodOf = (field, interval) => ({
+  $dateToString: {
+    format: "%Y-%m-%d",
+    timezone: timezone(),
+    date: {
+      $dateTrunc: {
+        date: { $toDate: `$${field}` },
+        unit: interval,
+        timezone: timezone(),
+        // weeks start on saturday in bangladesh
+        startOfWeek: process.env.WEEK_START || "saturday",
+      },
+    },
+  },
+});
+
+const byPeriod = [{ $sort: { _id: 1 } }];
+
+// hours from a request being posted to a donor taking it on, null until then
+const hoursToDonor = {
+  $let: {
+    vars: {
+      claimed: {
+        $first: {
+          $filter: {
+            input: { $ifNull: ["$statusHistory", []] },
+            cond: { $eq: ["$$this.to", "inprogress"] },
+          },
+        },
+      },
+    },
+    in: {
+      $cond: [
+        "$$claimed",
+        {
+          $divide: [
+            {
+              $subtract: [
+                { $toDate: "$$claimed.changedAt" },
+                { $toDate: "$createdAt" },
+              ],
+            },
+            3600000,
+          ],
+        },
+        null,
+      ],
+    },
+  },
+};
+
+const rate = (part, whole) => ({
+  $cond: [
+    { $gt: [whole, 0] },
+    { $round: [{ $multiply: [{ $divide: [part, whole] }, 100] }, 1] },
+    null,
+  ],
+});
+
+const fulfilled = { $sum: { $cond: [{ $eq: ["$status", "done"] }, 1, 0] } };
+
+const newUsersPipeline = ({ interval, range, match }) => [
+  { $match: { ...match, createAt: range } },
+  { $group: { _id: periodOf("createAt", interval), count: { $sum: 1 } } },
+  ...byPeriod,
+  { $project: { _id: 0, period: "$_id", count: 1 } },
+];
+
+// requests bucketed by when they were posted, with how many of those were
+// fulfilled and how fast a donor stepped in
+const requestsPipeline = ({ interval, range, match }) => [
+  { $match: { ...match, createdAt: range } },
+  {
+    $group: {
+      _id: periodOf("createdAt", interval),
+      created: { $sum: 1 },
+      fulfilled,
+      medianHoursToDonor: {
+        $median: { input: hoursToDonor, method: "approximate" },
+      },
+    },
+  },
+  ...byPeriod,
+  {
+    $project: {
+      _id: 0,
+      period: "$_id",
+      created: 1,
+      fulfilled: 1,
+      fulfilmentRate: rate("$fulfilled", "$created"),
+      medianHoursToDonor: { $round: ["$medianHoursToDonor", 1] },
+    },
+  },
+];
+
+// the same figures per district and blood group, worst fulfilment first, to
+// show where shortages are
+const regionsPipeline = ({ range, match }) => [
+  { $match: { ...match, createdAt: range } },
+  {
+    $group: {
+      _id: { district: "$district", bloodGroup: "$bloodGroup" },
+      created: { $sum: 1 },
+      fulfilled,
+      medianHoursToDonor: {
+        $median: { input: hoursToDonor, method: "approximate" },
+      },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      district: "$_id.district",
+      bloodGroup: "$_id.bloodGroup",
+      created: 1,
+      fulfilled: 1,
+      fulfilmentRate: rate("$fulfilled", "$created"),
+      medianHoursToDonor: { $round: ["$medianHoursToDonor", 1] },
+    },
+  },
+  { $sort: { fulfilmentRate: 1, created: -1 } },
+];
+
+// net funds per period and currency, in minor units
+const fundsPipeline = ({ interval, range }) => [
+  {
+    $match: { status: { $in: COUNTED_PAYMENT_STATUSES }, paidAt: range },
+  },
+  {
+    $group: {
+      _id: { period: periodOf("paidAt", interval), currency: "$currency" },
+      amountMinor: { $sum: NET_AMOUNT_MINOR },
+      payments: { $sum: 1 },
+    },
+  },
+  { $sort: { "_id.period": 1, "_id.currency": 1 } },
+  {
+    $project: {
+      _id: 0,
+      period: "$_id.period",
+      currency: "$_id.currency",
+      amountMinor: 1,
+      payments: 1,
+    },
+  },
+];
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  analyticsRange,
+  newUsersPipeline,
+  requestsPipeline,
+  regionsPipeline,
+  fundsPipeline,
+};
@@ -0,0 +1,60 @@
+// append-only audit trail of admin and volunteer changes
+const AUDITED_ROLES = ["admin", "volunteer"];
+
+// every targetType an entry may carry, so the log can be filtered by them
+const AUDIT_TARGET_TYPES = [
+  "user",
+  "donationRequest",
+  "blog",
+  "campaign",
+  "export",
+  "organisation",
+  "camp",
+  "campRegistration",
+];
+
+// field-level diff between two versions of a document
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  keys.forEach((key) => {
+    if (key === "_id") return;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+// returns record(req, entry). entries are only written for admin/volunteer
+// actors, and a failed write is logged rather than failing the request that
+// already went through.
+const createAuditLogger = (auditLogCollection) => async (req, entry) => {
+  const actorRole = req.user?.role;
+  if (!AUDITED_ROLES.includes(actorRole)) return;
+
+  const { action, targetType, targetId, before = null, after = null } = entry;
+
+  try {
+    await auditLogCollection.insertOne({
+      actorEmail: req.decoded?.email,
+      actorRole,
+      action,
+      targetType,
+      targetId: String(targetId),
+      changes: diffDocuments(before, after),
+      createdAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error("Audit log error:", err);
+  }
+};
+
+module.exports = { AUDIT_TARGET_TYPES, diffDocuments, createAuditLogger };
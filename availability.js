@@ -0,0 +1,59 @@
+// donor-controlled availability and quiet hours. dates and times are local
+// to APP_TIMEZONE, like donationDate.
+//   availability: { available, until, updatedAt } - an unavailable donor
+//                 with `until` becomes available again the day after it
+//   quietHours:   { start: "HH:MM", end: "HH:MM" } - may wrap past midnight
+
+const localTime = (now = new Date()) =>
+  now.toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone: process.env.APP_TIMEZONE || "Asia/Dhaka",
+  });
+
+const isAvailable = (user, today) => {
+  const { available, until } = user?.availability || {};
+  if (available !== false) return true;
+  return Boolean(until) && until < today;
+};
+
+// mongo filter for users who have not marked themselves unavailable today
+const availableNowQuery = (today) => ({
+  $nor: [
+    {
+      "availability.available": false,
+      $or: [
+        { "availability.until": null },
+        { "availability.until": { $gte: today } },
+      ],
+    },
+  ],
+});
+
+const inQuietHours = (user, now = new Date()) => {
+  const { start, end } = user?.quietHours || {};
+  if (!start || !end || start === end) return false;
+
+  const time = localTime(now);
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+// availability as shown to the donor and to admins
+const availabilityOf = (user, today) => ({
+  available: isAvailable(user, today),
+  unavailableUntil:
+    user?.availability?.available === false
+      ? user.availability.until || null
+      : null,
+  quietHours: user?.quietHours || null,
+});
+
+module.exports = {
+  isAvailable,
+  availableNowQuery,
+  inQuietHours,
+  availabilityOf,
+};
@@ -0,0 +1,170 @@
+// blog editorial workflow, slugs and revision diffs
+const BLOG_STATUSES = [
+  "draft",
+  "review",
+  "scheduled",
+  "published",
+  "unpublished",
+];
+
+// current status -> next status -> roles allowed to make that move.
+// scheduled posts are published by the scheduler once publishAt passes.
+const BLOG_TRANSITIONS = {
+  draft: {
+    review: ["volunteer", "admin"],
+    scheduled: ["admin"],
+    published: ["admin"],
+  },
+  review: {
+    draft: ["volunteer", "admin"],
+    scheduled: ["admin"],
+    published: ["admin"],
+  },
+  scheduled: {
+    review: ["admin"],
+    published: ["admin", "system"],
+  },
+  published: {
+    unpublished: ["admin"],
+  },
+  unpublished: {
+    draft: ["volunteer", "admin"],
+    published: ["admin"],
+  },
+};
+
+// fields that make up a revision
+const REVISION_FIELDS = ["title", "thumbnail", "content"];
+
+// statuses in which a post is, or will go, live without another admin step
+const LIVE_STATUSES = ["scheduled", "published"];
+
+// above this many LCS table cells the changed block is not diffed line by
+// line (the table costs memory in proportion to it)
+const MAX_DIFF_CELLS = 1000000;
+
+const canTransitionBlog = (from, to, role) =>
+  (BLOG_TRANSITIONS[from]?.[to] || []).includes(role);
+
+// content edits by non-admins to live posts wait for an admin as pending
+// revisions, as publishing itself does
+const needsReview = (blog, role) =>
+  role !== "admin" && LIVE_STATUSES.includes(blog.status);
+
+// url slug from a title, Bengali letters are kept as they are
+const slugify = (title) =>
+  String(title)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0980-\u09ff]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80) || "post";
+
+// rich text usually arrives as one long line of HTML, so break after block
+// elements before diffing line by line
+const toLines = (text = "") =>
+  String(text)
+    .replace(
+      /(<\/(p|h[1-6]|li|ul|ol|blockquote|pre|div)>|<br\s*\/?>)/gi,
+      "$1\n"
+    )
+    .split(/\r?\n/);
+
+// longest common subsequence diff of two line arrays
+const lcsDiff = (a, b) => {
+  const lengths = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: "unchanged", line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: "removed", line: a[i++] });
+    } else {
+      changes.push({ type: "added", line: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: "removed", line: a[i++] });
+  while (j < b.length) changes.push({ type: "added", line: b[j++] });
+
+  return changes;
+};
+
+// line diff (longest common subsequence) between two texts. the common
+// head and tail are matched first; a middle too large to diff is reported
+// as one "changed" block.
+const diffLines = (before, after) => {
+  const allA = toLines(before);
+  const allB = toLines(after);
+
+  let head = 0;
+  while (
+    head < allA.length &&
+    head < allB.length &&
+    allA[head] === allB[head]
+  ) {
+    head++;
+  }
+  let tail = 0;
+  while (
+    tail < allA.length - head &&
+    tail < allB.length - head &&
+    allA[allA.length - 1 - tail] === allB[allB.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const unchanged = (lines) =>
+    lines.map((line) => ({ type: "unchanged", line }));
+  const a = allA.slice(head, allA.length - tail);
+  const b = allB.slice(head, allB.length - tail);
+  const changes = unchanged(allA.slice(0, head));
+
+  const middle =
+    (a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS
+      ? [{ type: "changed", from: a, to: b }]
+      : lcsDiff(a, b);
+  return changes
+    .concat(middle)
+    .concat(unchanged(allA.slice(allA.length - tail)));
+};
+
+// per-field comparison of two revisions
+const diffRevisions = (from, to) =>
+  Object.fromEntries(
+    REVISION_FIELDS.map((field) => [
+      field,
+      field === "content"
+        ? diffLines(from[field], to[field])
+        : { from: from[field] ?? null, to: to[field] ?? null },
+    ])
+  );
+
+module.exports = {
+  BLOG_STATUSES,
+  BLOG_TRANSITIONS,
+  REVISION_FIELDS,
+  LIVE_STATUSES,
+  canTransitionBlog,
+  needsReview,
+  slugify,
+  diffLines,
+  diffRevisions,
+};
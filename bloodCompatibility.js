@@ -0,0 +1,67 @@
+// ABO/Rh compatibility between donor and recipient blood groups
+const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+const COMPONENTS = ["whole", "plasma", "platelets"];
+
+const split = (group) => ({
+  abo: group.slice(0, -1),
+  rhPositive: group.endsWith("+"),
+});
+
+// red cells: recipient must carry every antigen the donor cells carry
+const redCellsMatch = (donor, recipient) =>
+  [...donor.abo].every(
+    (antigen) => antigen === "O" || recipient.abo.includes(antigen)
+  );
+
+// plasma: donor plasma must not carry antibodies against recipient antigens,
+// i.e. the reverse of red cells. Rh does not matter for plasma.
+const plasmaMatch = (donor, recipient) =>
+  [...recipient.abo].every(
+    (antigen) => antigen === "O" || donor.abo.includes(antigen)
+  );
+
+const RULES = {
+  whole: (donor, recipient) =>
+    redCellsMatch(donor, recipient) &&
+    (recipient.rhPositive || !donor.rhPositive),
+  plasma: plasmaMatch,
+  // platelets come suspended in plasma; Rh- recipients still get Rh- units
+  platelets: (donor, recipient) =>
+    plasmaMatch(donor, recipient) &&
+    (recipient.rhPositive || !donor.rhPositive),
+};
+
+const isBloodGroup = (group) => BLOOD_GROUPS.includes(group);
+
+// an unencoded "+" in a query string arrives as a space
+const normalizeBloodGroup = (group) =>
+  typeof group === "string"
+    ? group.trim().toUpperCase() + (/ $/.test(group) ? "+" : "")
+    : group;
+
+const canDonate = (donorGroup, recipientGroup, component = "whole") => {
+  const rule = RULES[component];
+  if (!rule || !isBloodGroup(donorGroup) || !isBloodGroup(recipientGroup)) {
+    return false;
+  }
+  return rule(split(donorGroup), split(recipientGroup));
+};
+
+// groups that can give to a recipient of the given group
+const donorGroupsFor = (recipientGroup, component = "whole") =>
+  BLOOD_GROUPS.filter((group) => canDonate(group, recipientGroup, component));
+
+// groups a donor of the given group can give to
+const recipientGroupsFor = (donorGroup, component = "whole") =>
+  BLOOD_GROUPS.filter((group) => canDonate(donorGroup, group, component));
+
+module.exports = {
+  BLOOD_GROUPS,
+  COMPONENTS,
+  isBloodGroup,
+  normalizeBloodGroup,
+  canDonate,
+  donorGroupsFor,
+  recipientGroupsFor,
+};
@@ -0,0 +1,65 @@
+// iCalendar (RFC 5545) feeds for appointments
+const escapeText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 20261019T143000Z
+const icsDate = (iso) =>
+  new Date(iso)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// lines longer than 75 octets continue on the next line after a space
+const fold = (line) => {
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+// events: [{ uid, start, end, summary, location, description, url,
+// canceled, updatedAt }]
+const buildCalendar = (name, events) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//BloodGrid//Appointments//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${icsDate(event.updatedAt || new Date())}`,
+      `DTSTART:${icsDate(event.start)}`,
+      `DTEND:${icsDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `STATUS:${event.canceled ? "CANCELLED" : "CONFIRMED"}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+};
+
+module.exports = { escapeText, icsDate, buildCalendar };
@@ -0,0 +1,117 @@
+// fundraising campaigns: lifecycle and the aggregations behind their progress
+const { fromMinorUnits } = require("./money");
+
+const CAMPAIGN_STATUSES = ["draft", "active", "closed"];
+
+// payment states whose money the organisation keeps (minus refunds)
+const COUNTED_PAYMENT_STATUSES = ["completed", "partially_refunded"];
+
+// what a payment is worth after refunds, in its minor units
+const NET_AMOUNT_MINOR = {
+  $subtract: ["$amountMinor", { $ifNull: ["$refundedAmountMinor", 0] }],
+};
+
+// an active campaign takes donations between its start and end dates
+const isAcceptingDonations = (campaign, today) =>
+  campaign.status === "active" &&
+  campaign.startDate <= today &&
+  campaign.endDate >= today;
+
+// raised total and donor count per campaign id
+const campaignTotalsPipeline = (campaignIds) => [
+  {
+    $match: {
+      campaignId: { $in: campaignIds },
+      status: { $in: COUNTED_PAYMENT_STATUSES },
+    },
+  },
+  {
+    $group: {
+      _id: "$campaignId",
+      raisedMinor: { $sum: NET_AMOUNT_MINOR },
+      donors: { $addToSet: "$email" },
+    },
+  },
+  {
+    $project: { raisedMinor: 1, donorCount: { $size: "$donors" } },
+  },
+];
+
+// public view of a campaign with its totals merged in
+const withProgress = (campaign, totals, today) => {
+  const raisedMinor = totals?.raisedMinor || 0;
+  const raised = fromMinorUnits(raisedMinor, campaign.currency);
+  return {
+    ...campaign,
+    raised,
+    raisedMinor,
+    donorCount: totals?.donorCount || 0,
+    progress:
+      campaign.goalAmount > 0
+        ? Math.round((raised / campaign.goalAmount) * 1000) / 10
+        : 0,
+    acceptingDonations: isAcceptingDonations(campaign, today),
+  };
+};
+
+// top donors of a campaign. anonymous gifts are grouped apart from the same
+// donor's named gifts and never carry a name or email.
+const leaderboardPipeline = (campaignId, limit) => [
+  {
+    $match: { campaignId, status: { $in: COUNTED_PAYMENT_STATUSES } },
+  },
+  {
+    $group: {
+      _id: { email: "$email", anonymous: { $eq: ["$anonymous", true] } },
+      totalMinor: { $sum: NET_AMOUNT_MINOR },
+      donations: { $sum: 1 },
+      donorName: { $last: "$donorName" },
+      lastDonatedAt: { $max: "$paidAt" },
+    },
+  },
+  { $match: { totalMinor: { $gt: 0 } } },
+  { $sort: { totalMinor: -1, lastDonatedAt: 1 } },
+  { $limit: limit },
+  {
+    $lookup: {
+      from: "users",
+      localField: "_id.email",
+      foreignField: "email",
+      as: "user",
+      pipeline: [{ $project: { name: 1, avatar: 1 } }],
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      anonymous: "$_id.anonymous",
+      name: {
+        $cond: [
+          "$_id.anonymous",
+          "Anonymous",
+          {
+            $ifNull: [
+              "$donorName",
+              { $ifNull: [{ $first: "$user.name" }, "Anonymous"] },
+            ],
+          },
+        ],
+      },
+      avatar: {
+        $cond: ["$_id.anonymous", null, { $first: "$user.avatar" }],
+      },
+      totalMinor: 1,
+      donations: 1,
+    },
+  },
+];
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  COUNTED_PAYMENT_STATUSES,
+  NET_AMOUNT_MINOR,
+  isAcceptingDonations,
+  campaignTotalsPipeline,
+  withProgress,
+  leaderboardPipeline,
+};
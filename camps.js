@@ -0,0 +1,111 @@
+// blood drives (donation camps) organised by admins and volunteers
+const CAMP_STATUSES = ["scheduled", "completed", "canceled"];
+
+// a registration moves registered -> checkedIn -> donated | deferred.
+// donors may cancel until they are checked in.
+const REGISTRATION_STATUSES = [
+  "registered",
+  "checkedIn",
+  "donated",
+  "deferred",
+  "canceled",
+];
+
+// what an organiser records for a checked in donor
+const CAMP_OUTCOMES = ["donated", "deferred"];
+
+// registrations of one camp counted by status and, for donations, by blood
+// group
+const campReportPipeline = (campId) => [
+  { $match: { campId } },
+  {
+    $facet: {
+      byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+      byBloodGroup: [
+        { $match: { status: "donated" } },
+        {
+          $group: {
+            _id: "$bloodGroup",
+            donors: { $sum: 1 },
+            units: { $sum: "$units" },
+          },
+        },
+      ],
+      walkIns: [
+        { $match: { walkIn: true, status: { $ne: "canceled" } } },
+        { $count: "count" },
+      ],
+    },
+  },
+];
+
+// attendance and units collected against the camp's targets. `facets` is the
+// single row returned by campReportPipeline, `today` a YYYY-MM-DD date.
+const campReport = (camp, facets, today) => {
+  const counts = Object.fromEntries(
+    REGISTRATION_STATUSES.map((status) => [status, 0])
+  );
+  facets.byStatus.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+
+  const attended = counts.checkedIn + counts.donated + counts.deferred;
+  const registered = attended + counts.registered;
+  const unitsCollected = facets.byBloodGroup.reduce(
+    (sum, row) => sum + row.units,
+    0
+  );
+
+  // the groups the camp asked for always show up, even without donations
+  const groups = new Map(
+    (camp.bloodGroups || []).map((bloodGroup) => [
+      bloodGroup,
+      { bloodGroup, needed: true, donors: 0, units: 0 },
+    ])
+  );
+  facets.byBloodGroup.forEach(({ _id, donors, units }) => {
+    groups.set(_id, {
+      bloodGroup: _id,
+      needed: groups.has(_id),
+      donors,
+      units,
+    });
+  });
+
+  return {
+    campId: camp._id,
+    title: camp.title,
+    date: camp.date,
+    status: camp.status,
+    registered,
+    canceled: counts.canceled,
+    walkIns: facets.walkIns[0]?.count || 0,
+    attended,
+    // still "registered" once the camp day has passed means they never came
+    noShows:
+      camp.status === "completed" ||
+      (camp.status === "scheduled" && camp.date < today)
+        ? counts.registered
+        : 0,
+    attendanceRate: registered
+      ? Math.round((attended / registered) * 1000) / 10
+      : null,
+    waiting: counts.checkedIn,
+    donated: counts.donated,
+    deferred: counts.deferred,
+    targetUnits: camp.targetUnits,
+    unitsCollected,
+    targetProgress: Math.round((unitsCollected / camp.targetUnits) * 1000) / 10,
+    bloodGroups: [...groups.values()].sort((a, b) =>
+      a.bloodGroup.localeCompare(b.bloodGroup)
+    ),
+  };
+};
+
+module.exports = {
+  CAMP_STATUSES,
+  REGISTRATION_STATUSES,
+  CAMP_OUTCOMES,
+  campReportPipeline,
+  campReport,
+};
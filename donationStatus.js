@@ -0,0 +1,64 @@
+// donation request lifecycle
+const STATUSES = ["pending", "inprogress", "done", "canceled", "expired"];
+
+const URGENCY_LEVELS = ["critical", "urgent", "normal"];
+
+// current status -> next status -> roles allowed to make that move
+const TRANSITIONS = {
+  pending: {
+    inprogress: ["donor"],
+    canceled: ["requester", "volunteer", "admin"],
+    expired: ["system"],
+  },
+  inprogress: {
+    // assigned donor withdraws, or requester/admin releases the donor
+    pending: ["donor", "requester", "admin"],
+    done: ["requester", "volunteer", "admin"],
+    canceled: ["requester", "volunteer", "admin"],
+    expired: ["system"],
+  },
+  done: {},
+  canceled: {},
+  expired: {},
+};
+
+const isValidStatus = (status) => STATUSES.includes(status);
+
+const isTerminal = (status) =>
+  !TRANSITIONS[status] || Object.keys(TRANSITIONS[status]).length === 0;
+
+// roles the given user holds on the given request
+const getActorRoles = (request, user) => {
+  if (!user || user.status === "blocked") return [];
+
+  const roles = [];
+  if (user.role === "admin") roles.push("admin");
+  if (user.role === "volunteer") roles.push("volunteer");
+
+  if (request.requesterEmail === user.email) {
+    roles.push("requester");
+  } else if (request.donor?.email === user.email) {
+    roles.push("donor");
+  } else if (request.status === "pending" && !request.donor?.email) {
+    // anyone but the requester may claim an open request
+    roles.push("donor");
+  }
+
+  return roles;
+};
+
+// first of the actor's roles that may move the request from -> to, or null
+const findTransitionRole = (from, to, roles) => {
+  const allowed = TRANSITIONS[from]?.[to] || [];
+  return roles.find((role) => allowed.includes(role)) || null;
+};
+
+module.exports = {
+  STATUSES,
+  URGENCY_LEVELS,
+  TRANSITIONS,
+  isValidStatus,
+  isTerminal,
+  getActorRoles,
+  findTransitionRole,
+};
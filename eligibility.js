@@ -0,0 +1,47 @@
+// donor eligibility based on the last donation date
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_DAYS = 90;
+
+// DONATION_INTERVAL_DAYS applies to everyone unless a per-sex interval
+// (DONATION_INTERVAL_DAYS_MALE / _FEMALE) is configured
+const intervalDaysFor = (user) => {
+  const sex = String(user?.gender || "").toUpperCase();
+  const specific =
+    sex === "MALE" || sex === "FEMALE"
+      ? process.env[`DONATION_INTERVAL_DAYS_${sex}`]
+      : undefined;
+  return (
+    parseInt(specific) ||
+    parseInt(process.env.DONATION_INTERVAL_DAYS) ||
+    DEFAULT_INTERVAL_DAYS
+  );
+};
+
+const nextEligibleDate = (user, lastDonationAt) =>
+  new Date(new Date(lastDonationAt).getTime() + intervalDaysFor(user) * DAY_MS);
+
+const getEligibility = (user, now = new Date()) => {
+  if (!user?.nextEligibleAt) {
+    return { eligible: true, nextEligibleAt: null };
+  }
+  return {
+    eligible: new Date(user.nextEligibleAt) <= now,
+    nextEligibleAt: user.nextEligibleAt,
+  };
+};
+
+// mongo filter for users who may donate right now
+const eligibleNowQuery = (now = new Date()) => ({
+  $or: [
+    { nextEligibleAt: { $exists: false } },
+    { nextEligibleAt: null },
+    { nextEligibleAt: { $lte: now.toISOString() } },
+  ],
+});
+
+module.exports = {
+  intervalDaysFor,
+  nextEligibleDate,
+  getEligibility,
+  eligibleNowQuery,
+};
@@ -0,0 +1,179 @@
+// streaming csv/xlsx exports of the admin listings
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { fromMinorUnits } = require("./money");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const iso = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// per dataset: the date field the range applies to, and the columns that can
+// be picked as key -> [header, value(doc)]. default columns come first.
+const EXPORTS = {
+  users: {
+    dateField: "createAt",
+    defaultColumns: [
+      "name",
+      "email",
+      "role",
+      "status",
+      "bloodGroup",
+      "district",
+      "upazila",
+    ],
+    columns: {
+      id: ["ID", (user) => String(user._id)],
+      name: ["Name", (user) => user.name],
+      email: ["Email", (user) => user.email],
+      role: ["Role", (user) => user.role],
+      status: ["Status", (user) => user.status],
+      bloodGroup: ["Blood group", (user) => user.bloodGroup],
+      district: ["District", (user) => user.district],
+      upazila: ["Upazila", (user) => user.upazila],
+      phone: ["Phone", (user) => user.phone],
+      lastDonationAt: ["Last donation", (user) => user.lastDonationAt],
+      createdAt: ["Joined", (user) => user.createAt],
+      lastLoginAt: ["Last login", (user) => user.loginAt],
+    },
+  },
+  donationRequests: {
+    dateField: "createdAt",
+    defaultColumns: [
+      "recipientName",
+      "bloodGroup",
+      "hospitalName",
+      "district",
+      "upazila",
+      "donationDate",
+      "status",
+    ],
+    columns: {
+      id: ["ID", (request) => String(request._id)],
+      recipientName: ["Recipient", (request) => request.recipientName],
+      requesterName: ["Requester", (request) => request.requesterName],
+      requesterEmail: ["Requester email", (request) => request.requesterEmail],
+      bloodGroup: ["Blood group", (request) => request.bloodGroup],
+      hospitalName: ["Hospital", (request) => request.hospitalName],
+      fullAddress: ["Address", (request) => request.fullAddress],
+      district: ["District", (request) => request.district],
+      upazila: ["Upazila", (request) => request.upazila],
+      donationDate: ["Donation date", (request) => request.donationDate],
+      donationTime: ["Donation time", (request) => request.donationTime],
+      urgency: ["Urgency", (request) => request.urgency],
+      status: ["Status", (request) => request.status],
+      donorName: ["Donor", (request) => request.donor?.name],
+      donorEmail: ["Donor email", (request) => request.donor?.email],
+      createdAt: ["Created", (request) => request.createdAt],
+    },
+  },
+  payments: {
+    dateField: "paidAt",
+    defaultColumns: [
+      "paidAt",
+      "email",
+      "amount",
+      "currency",
+      "status",
+      "receiptNumber",
+    ],
+    columns: {
+      id: ["ID", (payment) => String(payment._id)],
+      paidAt: ["Paid at", (payment) => payment.paidAt],
+      email: ["Email", (payment) => payment.email],
+      donorName: ["Donor name", (payment) => payment.donorName],
+      amount: [
+        "Amount",
+        (payment) => fromMinorUnits(payment.amountMinor || 0, payment.currency),
+      ],
+      refundedAmount: [
+        "Refunded",
+        (payment) =>
+          fromMinorUnits(payment.refundedAmountMinor || 0, payment.currency),
+      ],
+      currency: ["Currency", (payment) => payment.currency?.toUpperCase()],
+      status: ["Status", (payment) => payment.status],
+      source: ["Type", (payment) => payment.source || "one-off"],
+      campaignId: [
+        "Campaign",
+        (payment) => payment.campaignId && String(payment.campaignId),
+      ],
+      receiptNumber: ["Receipt", (payment) => payment.receiptNumber],
+      paymentIntentId: ["Payment intent", (payment) => payment.paymentIntentId],
+    },
+  },
+};
+
+// the { $gte, $lte } range for an export, or { error } when the requested
+// span is longer than EXPORT_MAX_RANGE_DAYS. missing ends default to the
+// longest allowed window ending now.
+const exportRange = ({ from, to }) => {
+  const maxDays = parseInt(process.env.EXPORT_MAX_RANGE_DAYS) || 366;
+  const maxMs = maxDays * 24 * 60 * 60 * 1000;
+  const end = to || new Date().toISOString();
+  const start = from || new Date(new Date(end).getTime() - maxMs).toISOString();
+
+  if (start > end) return { error: "`from` must be before `to`." };
+  if (new Date(end) - new Date(start) > maxMs) {
+    return { error: `Exports can cover at most ${maxDays} days.` };
+  }
+  return { range: { $gte: start, $lte: end } };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+  let text = String(iso(value));
+  // keep spreadsheet apps from running cell text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (res, cursor, columns) => {
+  // the BOM makes excel read the file as utf-8 (bengali names etc.)
+  res.write(
+    "\ufeff" + columns.map(([header]) => csvCell(header)).join(",") + "\r\n"
+  );
+  for await (const doc of cursor) {
+    const line = columns.map(([, value]) => csvCell(value(doc))).join(",");
+    if (!res.write(line + "\r\n")) await once(res, "drain");
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, cursor, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(([header]) => ({ header, width: 20 }));
+  for await (const doc of cursor) {
+    sheet.addRow(columns.map(([, value]) => iso(value(doc)) ?? null)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+// streams `cursor` to the response one document at a time. `columns` are
+// keys of EXPORTS[dataset].columns.
+const streamExport = async (res, { dataset, format, columns, cursor }) => {
+  const picked = columns.map((key) => EXPORTS[dataset].columns[key]);
+  const filename = `${dataset}-${new Date()
+    .toISOString()
+    .slice(0, 10)}.${format}`;
+
+  // stop reading from mongo when the client goes away
+  res.on("close", () => cursor.close().catch(() => {}));
+  res.setHeader(
+    "Content-Type",
+    format === "csv"
+      ? "text/csv; charset=utf-8"
+      : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  if (format === "csv") {
+    await writeCsv(res, cursor, picked);
+  } else {
+    await writeXlsx(res, cursor, picked, dataset);
+  }
+};
+
+module.exports = { EXPORT_FORMATS, EXPORTS, exportRange, streamExport };
@@ -0,0 +1,62 @@
+// GeoJSON helpers for donor and request locations
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 200;
+// how far the neighbouring-upazila fallback reaches at least
+const FALLBACK_RADIUS_KM = 30;
+
+const toGeoPoint = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (
+    latitude === undefined ||
+    longitude === undefined ||
+    latitude === "" ||
+    longitude === "" ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    lat < -90 ||
+    lat > 90 ||
+    lng < -180 ||
+    lng > 180
+  ) {
+    return null;
+  }
+  // GeoJSON stores [longitude, latitude]
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// pulls latitude/longitude off a request body and swaps in a GeoJSON
+// location. returns an error message when coordinates are present but invalid.
+const applyLocation = (body) => {
+  const { latitude, longitude } = body;
+  delete body.latitude;
+  delete body.longitude;
+  delete body.location;
+
+  if (latitude === undefined && longitude === undefined) return null;
+
+  const location = toGeoPoint(latitude, longitude);
+  if (!location) return "Invalid latitude/longitude.";
+
+  body.location = location;
+  return null;
+};
+
+const parseRadiusKm = (value) => {
+  const radius = Number(value);
+  if (!value || !Number.isFinite(radius) || radius <= 0) {
+    return DEFAULT_RADIUS_KM;
+  }
+  return Math.min(radius, MAX_RADIUS_KM);
+};
+
+// the wider circle searched when the requested radius finds too few donors
+const fallbackRadiusKm = (radiusKm) =>
+  Math.min(Math.max(radiusKm * 3, FALLBACK_RADIUS_KM), MAX_RADIUS_KM);
+
+module.exports = {
+  toGeoPoint,
+  applyLocation,
+  parseRadiusKm,
+  fallbackRadiusKm,
+};
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
@@ -5,13 +6,127 @@ dotenv.config();
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const admin = require("firebase-admin");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const {
+  URGENCY_LEVELS,
+  isValidStatus,
+  isTerminal,
+  getActorRoles,
+  findTransitionRole,
+} = require("./donationStatus");
+const {
+  COMPONENTS,
+  isBloodGroup,
+  normalizeBloodGroup,
+  donorGroupsFor,
+  recipientGroupsFor,
+} = require("./bloodCompatibility");
+const {
+  nextEligibleDate,
+  getEligibility,
+  eligibleNowQuery,
+} = require("./eligibility");
+const policies = require("./policies");
+const { schemas, validate } = require("./validation");
+const {
+  DEFAULT_PREFERENCES,
+  transportsFromEnv,
+  createStreamHub,
+  createNotifier,
+} = require("./notifications");
+const { createAuditLogger } = require("./auditLog");
+const { scheduleJob } = require("./scheduler");
+const {
+  REVISION_FIELDS,
+  canTransitionBlog,
+  needsReview,
+  slugify,
+  diffRevisions,
+} = require("./blogWorkflow");
+const {
+  decodeCursor,
+  afterCursor,
+  sortStage,
+  paginate,
+} = require("./pagination");
+const {
+  applyLocation,
+  toGeoPoint,
+  parseRadiusKm,
+  fallbackRadiusKm,
+} = require("./geo");
+const { statusGuard } = require("./paymentStatus");
+const {
+  LEGACY_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  checkAmount,
+  exchangeRates,
+  convertTotals,
+} = require("./money");
+const {
+  COUNTED_PAYMENT_STATUSES,
+  NET_AMOUNT_MINOR,
+  isAcceptingDonations,
+  campaignTotalsPipeline,
+  withProgress,
+  leaderboardPipeline,
+} = require("./campaigns");
+const {
+  RECURRING_PRODUCT,
+  donationMetadata,
+  subscriptionState,
+  invoiceSubscription,
+} = require("./recurringDonations");
+const { formatReceiptNumber, receiptPdf, statementPdf } = require("./receipts");
+const { EXPORTS, exportRange, streamExport } = require("./exports");
+const {
+  analyticsRange,
+  newUsersPipeline,
+  requestsPipeline,
+  regionsPipeline,
+  fundsPipeline,
+} = require("./analytics");
+const {
+  CONTACT_RESPONSES,
+  privacyOf,
+  searchableQuery,
+  publicDonor,
+  publicRequest,
+  contactDetails,
+} = require("./privacy");
+const {
+  isAvailable,
+  availableNowQuery,
+  availabilityOf,
+} = require("./availability");
+const { stockPipeline, stockGrid } = require("./inventory");
+const { buildCalendar } = require("./calendar");
+const { campReportPipeline, campReport } = require("./camps");
+const { createLocalStorage } = require("./storage");
+const { sanitizeBlogHtml } = require("./sanitize");
+const { uploadImage, processImage } = require("./uploads");
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// uploaded images live on the local disk unless another adapter is wired in
+const storage = createLocalStorage({
+  root: process.env.UPLOAD_DIR || "uploads",
+  publicUrl:
+    process.env.UPLOAD_PUBLIC_URL || `http://localhost:${port}/uploads`,
+});
+
 // middleware
 app.use(cors());
-app.use(express.json());
+app.use("/uploads", express.static(storage.root, { maxAge: "30d" }));
+app.use(
+  express.json({
+    // keep the raw payload around for stripe webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 const decodedKey = Buffer.from(process.env.SAK_FIREBASE, "base64").toString(
   "utf8"
@@ -39,8 +154,166 @@ async function run() {
     const requestsCollection = db.collection("requests");
     const blogsCollection = db.collection("blogs");
     const paymentsCollection = db.collection("payments");
+    const stripeEventsCollection = db.collection("stripeEvents");
+    const notificationsCollection = db.collection("notifications");
+    const auditLogCollection = db.collection("auditLog");
+    const blogRevisionsCollection = db.collection("blogRevisions");
+    const campaignsCollection = db.collection("campaigns");
+    const recurringDonationsCollection = db.collection("recurringDonations");
+    const countersCollection = db.collection("counters");
+    const contactRequestsCollection = db.collection("contactRequests");
+    const organisationsCollection = db.collection("organisations");
+    const inventoryCollection = db.collection("inventory");
+    const stockMovementsCollection = db.collection("stockMovements");
+    const slotsCollection = db.collection("appointmentSlots");
+    const appointmentsCollection = db.collection("appointments");
+    const bookingLocksCollection = db.collection("bookingLocks");
+    const campsCollection = db.collection("camps");
+    const campRegistrationsCollection = db.collection("campRegistrations");
+    const recordAudit = createAuditLogger(auditLogCollection);
+
+    // soft-deleted documents keep a deletedAt stamp until purged
+    const notDeleted = { deletedAt: null };
+    const trashCollections = {
+      donationRequests: requestsCollection,
+      blogs: blogsCollection,
+      users: usersCollection,
+    };
+    // audit log target type for each trash type
+    const TRASH_TARGET_TYPES = {
+      donationRequests: "donationRequest",
+      blogs: "blog",
+      users: "user",
+    };
+
+    // indexes used by the queries below
+    Promise.all([
+      usersCollection.createIndex({ location: "2dsphere" }),
+      requestsCollection.createIndex({ location: "2dsphere" }),
+      requestsCollection.createIndex(
+        { recipientName: "text", hospitalName: "text", requestMessage: "text" },
+        {
+          name: "donation_request_search",
+          weights: { recipientName: 5, hospitalName: 3, requestMessage: 1 },
+        }
+      ),
+      requestsCollection.createIndex({ status: 1, createdAt: -1, _id: -1 }),
+      requestsCollection.createIndex({ district: 1, upazila: 1, status: 1 }),
+      requestsCollection.createIndex({ donationDate: 1, _id: 1 }),
+      requestsCollection.createIndex({ status: 1, donationDate: 1 }),
+      requestsCollection.createIndex({ createdAt: 1 }),
+      usersCollection.createIndex({ createAt: 1 }),
+      notificationsCollection.createIndex({ email: 1, createdAt: -1 }),
+      auditLogCollection.createIndex({ createdAt: -1 }),
+      auditLogCollection.createIndex({ targetType: 1, targetId: 1 }),
+      blogsCollection.createIndex({ slug: 1 }, { unique: true, sparse: true }),
+      blogsCollection.createIndex({ status: 1, publishAt: 1 }),
+      blogRevisionsCollection.createIndex(
+        { blogId: 1, revision: -1 },
+        { unique: true }
+      ),
+      campaignsCollection.createIndex({ status: 1, endDate: 1 }),
+      paymentsCollection.createIndex({ campaignId: 1, status: 1 }),
+      paymentsCollection.createIndex({ email: 1, paidAt: -1 }),
+      paymentsCollection.createIndex({ paidAt: 1 }),
+      paymentsCollection.createIndex(
+        { receiptNumber: 1 },
+        { unique: true, sparse: true }
+      ),
+      recurringDonationsCollection.createIndex(
+        { stripeSubscriptionId: 1 },
+        { unique: true }
+      ),
+      recurringDonationsCollection.createIndex({ email: 1, createdAt: -1 }),
+      contactRequestsCollection.createIndex({ donorEmail: 1, createdAt: -1 }),
+      organisationsCollection.createIndex({ status: 1, district: 1 }),
+      inventoryCollection.createIndex({
+        organisationId: 1,
+        bloodGroup: 1,
+        component: 1,
+        expiresOn: 1,
+      }),
+      stockMovementsCollection.createIndex({
+        organisationId: 1,
+        createdAt: -1,
+      }),
+      slotsCollection.createIndex({ start: 1, "location.district": 1 }),
+      appointmentsCollection.createIndex({ email: 1, status: 1, start: 1 }),
+      // one live booking per donor and slot
+      appointmentsCollection.createIndex(
+        { slotId: 1, email: 1 },
+        { unique: true, partialFilterExpression: { status: "booked" } }
+      ),
+      usersCollection.createIndex(
+        { calendarToken: 1 },
+        { unique: true, sparse: true }
+      ),
+      campsCollection.createIndex({ status: 1, date: 1 }),
+      campRegistrationsCollection.createIndex(
+        { campId: 1, email: 1 },
+        { unique: true }
+      ),
+      campRegistrationsCollection.createIndex({ email: 1, createdAt: -1 }),
+      contactRequestsCollection.createIndex({
+        requesterEmail: 1,
+        createdAt: -1,
+      }),
+      ...Object.values(trashCollections).map(async (collection) => {
+        // a sparse index cannot serve the `deletedAt: null` filters, so one
+        // left by an earlier version is replaced with a regular index
+        // (listing fails while the collection does not exist yet)
+        const indexes = await collection.indexes().catch(() => []);
+        if (
+          indexes.some((index) => index.name === "deletedAt_1" && index.sparse)
+        ) {
+          await collection.dropIndex("deletedAt_1");
+        }
+        await collection.createIndex({ deletedAt: 1 });
+      }),
+    ]).catch((err) => console.error("Index creation error:", err));
+
+    // payments recorded before amounts were kept in minor units. stripe was
+    // always charged amount * 100 back then, whatever the currency. the
+    // oldest ones carry no currency at all and were usd.
+    paymentsCollection
+      .updateMany({ amountMinor: { $exists: false } }, [
+        {
+          $set: {
+            amountMinor: { $round: [{ $multiply: ["$amount", 100] }, 0] },
+            refundedAmountMinor: {
+              $round: [
+                { $multiply: [{ $ifNull: ["$refundedAmount", 0] }, 100] },
+                0,
+              ],
+            },
+          },
+        },
+      ])
+      .catch((err) => console.error("Payment amount backfill error:", err));
+    paymentsCollection
+      .updateMany({ currency: null }, { $set: { currency: LEGACY_CURRENCY } })
+      .catch((err) => console.error("Payment currency backfill error:", err));
+
+    // notifications
+    const notificationStreams = createStreamHub();
+    const notifier = createNotifier({
+      notificationsCollection,
+      streams: notificationStreams,
+      transports: transportsFromEnv(),
+      rateLimit: {
+        max: parseInt(process.env.NOTIFICATION_RATE_LIMIT),
+        windowMinutes: parseInt(process.env.NOTIFICATION_RATE_WINDOW_MINUTES),
+      },
+    });
 
     // custom middlewares
+    // EventSource cannot send headers, so streams pass the token as ?token=
+    const tokenFromQuery = (req, res, next) => {
+      if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+      }
+      next();
+    };
     const verifyFirebaseToken = async (req, res, next) => {
       const authHeaders = req.headers.authorization;
       if (!authHeaders) {
@@ -62,11 +335,12 @@ async function run() {
     const verifyAdmin = async (req, res, next) => {
       const email = req.decoded.email;
 
-      const query = { email };
+      const query = { email, ...notDeleted };
       const user = await usersCollection.findOne(query);
       if (!user || user.role !== "admin") {
         return res.status(403).send({ message: "Forbidden access." });
       }
+      req.user = user;
       next();
     };
     const verifyAdminVolunteer = async (req, res, next) => {
@@ -78,13 +352,14 @@ async function run() {
             .send({ message: "Unauthorized access: No email in token." });
         }
 
-        const user = await usersCollection.findOne({ email });
+        const user = await usersCollection.findOne({ email, ...notDeleted });
         if (!user || (user.role !== "admin" && user.role !== "volunteer")) {
           return res
             .status(403)
             .send({ message: "Forbidden access: Admin or Volunteer only." });
         }
 
+        req.user = user;
         next();
       } catch (error) {
         console.error("Error verifying admin/volunteer:", error);
@@ -94,13 +369,31 @@ async function run() {
 
     const verifyVolunteer = async (req, res, next) => {
       const email = req.decoded.email;
-      const query = { email };
+      const query = { email, ...notDeleted };
       const user = await usersCollection.findOne(query);
       if (!user || user.role !== "volunteer") {
         return res.status(403).send({ message: "Forbidden access." });
       }
       next();
     };
+    // hospital / blood bank staff; req.organisation is the one they work for
+    const verifyOrganisation = async (req, res, next) => {
+      const email = req.decoded.email;
+      const user = await usersCollection.findOne({ email, ...notDeleted });
+      const organisation =
+        user?.role === "organisation" && user.organisationId
+          ? await organisationsCollection.findOne({
+              _id: user.organisationId,
+              status: "active",
+            })
+          : null;
+      if (!organisation) {
+        return res.status(403).send({ message: "Forbidden access." });
+      }
+      req.user = user;
+      req.organisation = organisation;
+      next();
+    };
     const verifyEmailQueryMatch = (req, res, next) => {
       const queryEmail = req.query.email;
       const decodedEmail = req.decoded?.email;
@@ -125,638 +418,5220 @@ async function run() {
       next();
     };
 
-    // add user to db
-    app.post("/add-user", async (req, res) => {
-      const userinfo = req.body;
-      userinfo.createAt = new Date().toISOString();
-      userinfo.loginAt = new Date().toISOString();
-      userinfo.role = "donor";
-      userinfo.status = "active";
+    // ownership checks referenced by policies.js
+    const ownerChecks = {
+      self: (req) => req.params.email === req.decoded.email,
+      bodyRequester: (req) => req.body?.requesterEmail === req.decoded.email,
+      requester: async (req) => {
+        if (!ObjectId.isValid(req.params.id)) return false;
+        const request = await requestsCollection.findOne(
+          { _id: new ObjectId(req.params.id), ...notDeleted },
+          { projection: { requesterEmail: 1 } }
+        );
+        return request?.requesterEmail === req.decoded.email;
+      },
+    };
 
+    // enforces a route policy from policies.js, use after verifyFirebaseToken
+    const authorize = (policy) => async (req, res, next) => {
       try {
-        const result = await usersCollection.insertOne(userinfo);
-        res.status(201).send({
-          insertedId: result.insertedId,
-          acknowledged: result.acknowledged,
-          message: "User has been added successfully.",
+        const user = await usersCollection.findOne({
+          email: req.decoded?.email,
+          ...notDeleted,
         });
-      } catch (err) {
-        console.error("User insertion error:", err);
-        res.status(500).send({ message: "Failed to add the user." });
-      }
-    });
-    // user login update
+        if (!user || user.status === "blocked") {
+          return res.status(403).send({ message: "Forbidden access." });
+        }
 
-    app.patch("/users/:email/last-login", async (req, res) => {
-      const { email } = req.params;
+        const grants = [];
+        if (policy.roles?.includes(user.role)) {
+          grants.push(user.role);
+        }
+        if (policy.owner && (await ownerChecks[policy.owner](req))) {
+          grants.push("owner");
+        }
+        if (grants.length === 0) {
+          return res.status(403).send({ message: "Forbidden access." });
+        }
 
-      try {
-        const result = await usersCollection.updateOne(
-          { email },
-          {
-            $set: {
-              loginAt: new Date().toISOString(),
-            },
+        if (policy.fields) {
+          const allowed = grants.flatMap((grant) => policy.fields[grant] || []);
+          const denied = Object.keys(req.body || {}).filter(
+            (field) => !allowed.includes(field)
+          );
+          if (denied.length > 0) {
+            return res.status(403).send({
+              message: `You are not allowed to change: ${denied.join(", ")}.`,
+              fields: denied,
+            });
           }
-        );
+        }
 
-        res.json({ modified: result.modifiedCount > 0 });
+        req.user = user;
+        next();
       } catch (error) {
-        res.status(500).json({ error: "Failed to update last login" });
+        console.error("Error authorizing request:", error);
+        res.status(500).send({ message: "Internal server error" });
       }
-    });
+    };
 
-    // get user
-    app.get(
-      "/user",
-      verifyFirebaseToken,
-      verifyEmailQueryMatch,
-      async (req, res) => {
-        const email = req.query.email;
-        try {
-          const user = await usersCollection.findOne({ email });
-          if (!user) {
-            return res.status(404).send({ message: "User not found" });
-          }
-          res.send(user);
-        } catch (err) {
-          res.status(500).send({ message: "Failed to fetch user", error: err });
-        }
+    // move a donation request to a new status if the actor is allowed to.
+    // the update is conditional on the status we read, so concurrent changes
+    // (e.g. two donors claiming at once) cannot both win.
+    const transitionDonationRequest = async ({
+      id,
+      to,
+      actorEmail,
+      donorName,
+      set = {},
+    }) => {
+      if (!isValidStatus(to)) {
+        return { code: 400, message: `Invalid status "${to}".` };
       }
-    );
-
-    // get user role
-    app.get("/user-role", async (req, res) => {
-      const { email } = req.query;
 
-      if (!email) {
-        return res.status(400).json({ error: "Email query is required." });
+      const request = await requestsCollection.findOne({
+        _id: new ObjectId(id),
+        ...notDeleted,
+      });
+      if (!request) {
+        return { code: 404, message: "Donation request not found." };
       }
 
-      try {
-        const query = { email };
-        const user = await usersCollection.findOne(query);
+      const from = request.status;
+      if (from === to) {
+        return { code: 409, message: `Donation request is already ${to}.` };
+      }
+      if (isTerminal(from)) {
+        return {
+          code: 409,
+          message: `Donation request is ${from} and can no longer change.`,
+        };
+      }
 
-        if (!user) {
-          return res.status(404).send({ error: "User not found." });
+      const user = await usersCollection.findOne({ email: actorEmail });
+      const roles = getActorRoles(request, user);
+      const role = findTransitionRole(from, to, roles);
+      if (!role) {
+        return {
+          code: 403,
+          message: `You are not allowed to move this request from ${from} to ${to}.`,
+        };
+      }
+      if (to === "inprogress") {
+        const { eligible, nextEligibleAt } = getEligibility(user);
+        if (!eligible) {
+          return {
+            code: 409,
+            message: `You are not eligible to donate again until ${nextEligibleAt}.`,
+          };
+        }
+        if (!isAvailable(user, localDate())) {
+          return {
+            code: 409,
+            message:
+              "You have marked yourself unavailable. Update your availability to take requests.",
+          };
         }
-
-        res.send({ role: user.role });
-      } catch (err) {
-        console.error("Error fetching user role:", err);
-        res.status(500).send({ error: "Failed to fetch user role." });
       }
-    });
-    // get donor by search
-    app.get("/donors", async (req, res) => {
-      try {
-        const { bloodGroup, district, upazila } = req.query;
 
-        if (!bloodGroup || !district || !upazila) {
-          return res.status(400).json({ message: "All fields are required." });
-        }
+      const now = new Date().toISOString();
+      const filter = { _id: request._id, status: from, ...notDeleted };
+      const update = {
+        $set: { ...set, status: to, updatedAt: now },
+        $push: {
+          statusHistory: {
+            from,
+            to,
+            changedBy: actorEmail,
+            role,
+            changedAt: now,
+          },
+        },
+      };
 
-        const query = {
-          bloodGroup,
-          district,
-          upazila,
-          role: "donor",
-          status: "active",
+      if (to === "inprogress") {
+        filter["donor.email"] = { $exists: false };
+        update.$set.donor = {
+          name: donorName || user.name,
+          email: actorEmail,
         };
+      }
+      if (from === "inprogress" && to === "pending") {
+        update.$unset = { donor: "" };
+      }
 
-        const donors = await usersCollection.find(query).toArray();
+      const result = await requestsCollection.updateOne(filter, update);
+      if (result.matchedCount === 0) {
+        return {
+          code: 409,
+          message:
+            "Donation request was changed by someone else. Please refresh and try again.",
+        };
+      }
 
-        res.status(200).json(donors);
-      } catch (err) {
-        console.error("Error fetching donors:", err);
-        res.status(500).json({ message: "Failed to fetch donors" });
+      if (to === "done" && request.donor?.email) {
+        await recordDonation(request.donor.email, {
+          source: "request",
+          requestId: request._id,
+          bloodGroup: request.bloodGroup,
+          recipientName: request.recipientName,
+          hospitalName: request.hospitalName,
+          donatedAt: now,
+        });
       }
-    });
 
-    // user update
-    app.put("/user/update/:email", async (req, res) => {
-      const { email } = req.params;
-      const updatedData = req.body;
+      return { code: 200, from, to, role, actor: user, request };
+    };
 
-      try {
-        const result = await usersCollection.updateOne(
-          { email },
-          { $set: updatedData }
-        );
+    // add a donation to the donor's history and push back their next
+    // eligible date
+    const recordDonation = async (email, donation) => {
+      const user = await usersCollection.findOne({ email });
+      if (!user) return;
 
-        if (result.modifiedCount > 0) {
-          res.send({ message: "Profile updated successfully" });
-        } else {
-          res
-            .status(404)
-            .send({ message: "User not found or no changes made" });
-        }
-      } catch (err) {
-        res
-          .status(500)
-          .send({ message: "Failed to update profile", error: err });
+      const donatedAt = donation.donatedAt || new Date().toISOString();
+      const update = { $push: { donations: { ...donation, donatedAt } } };
+
+      // a back-dated entry must not move the eligibility window backwards
+      if (!user.lastDonationAt || donatedAt > user.lastDonationAt) {
+        update.$set = {
+          lastDonationAt: donatedAt,
+          nextEligibleAt: nextEligibleDate(user, donatedAt).toISOString(),
+        };
       }
-    });
 
-    // donation
-    // create donation request
-    app.post("/donation-requests", async (req, res) => {
-      const requestData = req.body;
-      requestData.createdAt = new Date().toISOString();
-      requestData.status = "pending";
+      await usersCollection.updateOne({ email }, update);
+    };
 
-      try {
-        const result = await requestsCollection.insertOne(requestData);
-        res.status(201).send({
-          ...result,
-          message: "Donation request has been created.",
-        });
-      } catch (err) {
-        console.error("Error creating donation request:", err.message);
+    // alert eligible donors in the request's area who can give to it
+    const notifyMatchingDonors = async (request) => {
+      const donors = await usersCollection
+        .find({
+          role: "donor",
+          status: "active",
+          bloodGroup: { $in: donorGroupsFor(request.bloodGroup) },
+          district: request.district,
+          upazila: request.upazila,
+          email: { $ne: request.requesterEmail },
+          ...notDeleted,
+          ...eligibleNowQuery(),
+          ...availableNowQuery(localDate()),
+        })
+        .toArray();
 
-        res.status(500).send({
-          message: "Failed to create donation request.",
-          error: err.message, // optional: remove in production for security
+      const prefix = request.urgency === "critical" ? "Critical: " : "";
+      for (const donor of donors) {
+        await notifier.notify(donor, {
+          type: "donation-request",
+          title: `${prefix}${request.bloodGroup} blood needed in ${request.upazila}`,
+          body: `${request.recipientName} needs ${request.bloodGroup} blood at ${request.hospitalName} on ${request.donationDate}.`,
+          link: `/donation-requests/${request._id}`,
+          requestId: request._id,
         });
       }
-    });
-    // get pending donation req
-    app.get("/donation-requests", async (req, res) => {
-      const { status, bloodGroup } = req.query;
-      let query = {};
-      if (status) {
-        query.status = status;
-      }
-      if (bloodGroup && bloodGroup !== "all") {
-        query.bloodGroup = bloodGroup;
-      }
-      
+    };
 
-      const result = await requestsCollection.find(query).toArray();
-      res.send(result);
-    });
-    // get donation req details
-    app.get("/donation-requests/:id", async (req, res) => {
-      const { id } = req.params;
-      try {
-        const request = await requestsCollection.findOne({
-          _id: new ObjectId(id),
-        });
-        if (!request) {
-          return res
-            .status(404)
-            .send({ message: "Donation request not found." });
+    // today's date (YYYY-MM-DD) in APP_TIMEZONE, shifted by `offsetDays`.
+    // donationDate is a plain local date, so comparisons happen as strings.
+    const localDate = (offsetDays = 0) =>
+      new Date(
+        Date.now() + offsetDays * 24 * 60 * 60 * 1000
+      ).toLocaleDateString("en-CA", {
+        timeZone: process.env.APP_TIMEZONE || "Asia/Dhaka",
+      });
+
+    // move every request matching `filter` to expired, one status at a time
+    // so the history records where each came from
+    const expireRequests = async (from, filter) => {
+      const now = new Date().toISOString();
+      const { modifiedCount } = await requestsCollection.updateMany(
+        { ...filter, status: from, ...notDeleted },
+        {
+          $set: { status: "expired", expiredAt: now, updatedAt: now },
+          $push: {
+            statusHistory: {
+              from,
+              to: "expired",
+              changedBy: "system",
+              role: "system",
+              changedAt: now,
+            },
+          },
         }
-        res.send(request);
-      } catch (err) {
-        res
-          .status(500)
-          .send({ message: "Error retrieving request.", error: err });
-      }
+      );
+      return modifiedCount;
+    };
+
+    // pending requests expire once their donation date has passed. claimed
+    // ones get a grace period (REQUEST_INPROGRESS_GRACE_DAYS, default 7) for
+    // the requester to mark them done or canceled.
+    scheduleJob("expire-requests", 15 * 60 * 1000, async () => {
+      const graceDays =
+        parseInt(process.env.REQUEST_INPROGRESS_GRACE_DAYS) || 7;
+
+      await expireRequests("pending", {
+        donationDate: { $lt: localDate() },
+      });
+      await expireRequests("inprogress", {
+        donationDate: { $lt: localDate(-graceDays) },
+      });
     });
-    // get my donation
-    app.get(
-      "/my-donation-requests/user",
-      verifyFirebaseToken,
-      verifyEmailQueryMatch,
-      async (req, res) => {
-        const { email, status, page = 1, limit = 5 } = req.query;
-        const parsedLimit = parseInt(limit);
-        const skip = (parseInt(page) - 1) * parsedLimit;
 
-        const query = { requesterEmail: email };
-        if (status) query.status = status;
+    const notifyByEmail = async (email, notification) => {
+      const user = await usersCollection.findOne({ email, ...notDeleted });
+      if (user) await notifier.notify(user, notification);
+    };
 
-        const total = await requestsCollection.countDocuments(query);
-        const requests = await requestsCollection
-          .find(query)
-          .skip(skip)
-          .limit(parsedLimit)
-          .sort({ createdAt: -1 })
-          .toArray();
+    // remind donors the day before and the day of their donation, and
+    // nudge requesters once a day to close requests whose date has passed
+    scheduleJob("request-reminders", 60 * 60 * 1000, async () => {
+      const today = localDate();
+      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
-        res.send({
-          requests,
-          totalPages: Math.ceil(total / parsedLimit),
+      const upcoming = await requestsCollection
+        .find({
+          status: "inprogress",
+          donationDate: { $gte: today, $lte: localDate(1) },
+          donorReminderSentAt: { $exists: false },
+          ...notDeleted,
+        })
+        .toArray();
+
+      for (const request of upcoming) {
+        const when = request.donationDate === today ? "today" : "tomorrow";
+        await notifyByEmail(request.donor.email, {
+          type: "donation-reminder",
+          title: `Donation ${when} at ${request.hospitalName}`,
+          body: `You are donating ${request.bloodGroup} blood for ${request.recipientName} on ${request.donationDate} at ${request.donationTime}.`,
+          link: `/donation-requests/${request._id}`,
+          requestId: request._id,
         });
+        await requestsCollection.updateOne(
+          { _id: request._id },
+          { $set: { donorReminderSentAt: new Date().toISOString() } }
+        );
       }
-    );
-    // update donation request
-    app.patch("/donation-requests/:id/donate", async (req, res) => {
-      const { id } = req.params;
-      const { status, donorName, donorEmail } = req.body;
-
-      const updateFields = {};
 
-      if (status) updateFields.status = status;
-      if (donorName && donorEmail) {
-        updateFields.donor = {
-          name: donorName,
-          email: donorEmail,
-        };
-      }
+      const overdue = await requestsCollection
+        .find({
+          status: "inprogress",
+          donationDate: { $lt: today },
+          $or: [
+            { requesterNudgedAt: { $exists: false } },
+            { requesterNudgedAt: { $lte: dayAgo } },
+          ],
+          ...notDeleted,
+        })
+        .toArray();
 
-      if (Object.keys(updateFields).length === 0) {
-        return res.status(400).send({
-          message: "Nothing to update. Provide status or donor info.",
+      for (const request of overdue) {
+        await notifyByEmail(request.requesterEmail, {
+          type: "donation-nudge",
+          title: "Did the donation happen?",
+          body: `The donation for ${request.recipientName} was due on ${request.donationDate}. Please mark the request as done or canceled.`,
+          link: `/donation-requests/${request._id}`,
+          requestId: request._id,
         });
+        await requestsCollection.updateOne(
+          { _id: request._id },
+          { $set: { requesterNudgedAt: new Date().toISOString() } }
+        );
       }
+    });
 
-      try {
-        const updateResult = await requestsCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updateFields }
-        );
+    const flagEligibility = (docs) =>
+      docs.map((doc) => ({ ...doc, ...getEligibility(doc) }));
 
-        if (updateResult.modifiedCount === 0) {
-          return res.status(400).send({
-            message:
-              "No changes applied. The request might not exist or is already updated.",
-          });
+    // stamp a document as deleted; returns it, or null when missing or
+    // already in the trash
+    const softDelete = (collection, id, req) =>
+      collection.findOneAndUpdate(
+        { _id: new ObjectId(id), ...notDeleted },
+        {
+          $set: {
+            deletedAt: new Date().toISOString(),
+            deletedBy: req.decoded.email,
+          },
         }
+      );
 
-        res.send({
-          message: "Donation request updated successfully.",
-        });
-      } catch (err) {
-        res.status(500).send({
-          message: "Error updating donation request.",
-          error: err,
+    // hard-delete trash older than TRASH_RETENTION_DAYS (default 30)
+    scheduleJob("purge-trash", 60 * 60 * 1000, async () => {
+      const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+      const cutoff = new Date(
+        Date.now() - retentionDays * 24 * 60 * 60 * 1000
+      ).toISOString();
+
+      for (const collection of Object.values(trashCollections)) {
+        await collection.deleteMany({
+          deletedAt: { $ne: null, $lte: cutoff },
         });
       }
     });
 
-    app.patch("/donation-requests/:id", async (req, res) => {
-      const { id } = req.params;
-      const updateData = req.body;
+    // flag documents whose bloodGroup is an exact match and move them first,
+    // keeping the existing order within each group
+    const rankByExactMatch = (docs, bloodGroup) =>
+      docs
+        .map((doc) => ({ ...doc, exactMatch: doc.bloodGroup === bloodGroup }))
+        .sort((a, b) => b.exactMatch - a.exactMatch);
 
-      try {
-        const result = await requestsCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updateData }
-        );
+    // add user to db
+    app.post(
+      "/add-user",
+      verifyFirebaseToken,
+      validate({ body: schemas.createUser }),
+      async (req, res) => {
+        const userinfo = req.body;
+        if (userinfo.email !== req.decoded.email) {
+          return res
+            .status(403)
+            .send({ message: "Forbidden access: Email mismatch" });
+        }
+        const locationError = applyLocation(userinfo);
+        if (locationError) {
+          return res.status(400).send({ message: locationError });
+        }
+        userinfo.createAt = new Date().toISOString();
+        userinfo.loginAt = new Date().toISOString();
+        userinfo.role = "donor";
+        userinfo.status = "active";
 
-        res.send(result);
-      } catch (error) {
-        console.error("Update Error:", error);
-        res.status(500).send({ error: "Failed to update donation request" });
+        try {
+          const result = await usersCollection.insertOne(userinfo);
+          res.status(201).send({
+            insertedId: result.insertedId,
+            acknowledged: result.acknowledged,
+            message: "User has been added successfully.",
+          });
+        } catch (err) {
+          console.error("User insertion error:", err);
+          res.status(500).send({ message: "Failed to add the user." });
+        }
       }
-    });
+    );
+    // user login update
 
-    app.get(
-      "/request-status-count",
+    app.patch(
+      "/users/:email/last-login",
       verifyFirebaseToken,
-      verifyEmailQueryMatch,
+      verifyEmailMatch,
       async (req, res) => {
-        const { email } = req.query;
+        const { email } = req.params;
+
         try {
-          const result = await requestsCollection
-            .aggregate([
-              {
-                $match: { requesterEmail: email },
-              },
-              {
-                $facet: {
-                  statusBreakdown: [
-                    {
-                      $group: {
-                        _id: "$status",
-                        count: { $sum: 1 },
-                      },
-                    },
-                  ],
-                  total: [{ $count: "total" }],
-                },
+          const result = await usersCollection.updateOne(
+            { email },
+            {
+              $set: {
+                loginAt: new Date().toISOString(),
               },
-            ])
-            .toArray();
+            }
+          );
 
-          res.send(result[0]);
+          res.json({ modified: result.modifiedCount > 0 });
         } catch (error) {
-          console.error("Aggregation error:", error);
-          res.status(500).send({ error: "Failed to aggregate status counts." });
+          res.status(500).json({ error: "Failed to update last login" });
         }
       }
     );
-    // admin dashboard
-    app.get("/admin/dashboard-stats", verifyFirebaseToken, async (req, res) => {
-      try {
-        const totalUsers = await usersCollection.countDocuments();
-        const totalDonationRequests = await requestsCollection.countDocuments();
-        const funds = await paymentsCollection
-          .aggregate([{ $group: { _id: null, total: { $sum: "$amount" } } }])
-          .toArray();
 
-        const totalFunds = funds[0]?.total || 0;
-
-        res.send({
-          totalUsers,
-          totalDonationRequests,
-          totalFunds,
-        });
-      } catch (error) {
-        res.status(500).send({ message: "Failed to load stats", error });
+    // get user
+    app.get(
+      "/user",
+      verifyFirebaseToken,
+      validate({ query: schemas.emailQuery }),
+      verifyEmailQueryMatch,
+      async (req, res) => {
+        const email = req.query.email;
+        try {
+          const user = await usersCollection.findOne({ email, ...notDeleted });
+          if (!user) {
+            return res.status(404).send({ message: "User not found" });
+          }
+          res.send(user);
+        } catch (err) {
+          res.status(500).send({ message: "Failed to fetch user", error: err });
+        }
       }
-    });
+    );
 
+    // get donor donation history
     app.get(
-      "/admin/users",
+      "/users/:email/donations",
       verifyFirebaseToken,
-      verifyAdmin,
+      validate({ params: schemas.emailParams }),
+      authorize(policies.viewDonationHistory),
       async (req, res) => {
         try {
-          const { page = 1, limit = 10, status = "all" } = req.query;
-          const filter = status !== "all" ? { status } : {};
-
-          const users = await usersCollection
-            .find(filter)
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit))
-            .toArray();
+          const user = await usersCollection.findOne(
+            { email: req.params.email },
+            {
+              projection: {
+                donations: 1,
+                lastDonationAt: 1,
+                nextEligibleAt: 1,
+              },
+            }
+          );
+          if (!user) {
+            return res.status(404).send({ message: "User not found" });
+          }
 
-          const total = await usersCollection.countDocuments();
+          const donations = (user.donations || []).sort((a, b) =>
+            b.donatedAt.localeCompare(a.donatedAt)
+          );
 
           res.send({
-            users,
-            totalPages: Math.ceil(total / limit),
-            total,
+            donations,
+            totalDonations: donations.length,
+            lastDonationAt: user.lastDonationAt || null,
+            ...getEligibility(user),
           });
-        } catch (error) {
-          res.status(500).send({ error: "Failed to fetch users." });
+        } catch (err) {
+          console.error("Error fetching donation history:", err);
+          res.status(500).send({ message: "Failed to fetch donation history" });
         }
       }
     );
 
-    // admin
+    // get user role
     app.get(
-      "/admin/donation-requests",
-      verifyFirebaseToken,
-      verifyAdminVolunteer,
+      "/user-role",
+      validate({ query: schemas.emailQuery }),
       async (req, res) => {
+        const { email } = req.query;
+
+        try {
+          const query = { email, ...notDeleted };
+          const user = await usersCollection.findOne(query);
+
+          if (!user) {
+            return res.status(404).send({ error: "User not found." });
+          }
+
+          res.send({ role: user.role });
+        } catch (err) {
+          console.error("Error fetching user role:", err);
+          res.status(500).send({ error: "Failed to fetch user role." });
+        }
+      }
+    );
+    // get donor by search
+    // plain mode matches bloodGroup/district/upazila exactly. passing a
+    // requestId or lat/lng switches to radius search, nearest first.
+    app.get(
+      "/donors",
+      validate({ query: schemas.donorsQuery }),
+      async (req, res) => {
+        try {
+          const {
+            requestId,
+            lat,
+            lng,
+            radius,
+            fallback,
+            minResults,
+            compatible,
+            component = "whole",
+            includeIneligible,
+          } = req.query;
+          let { district, upazila } = req.query;
+          let bloodGroup = normalizeBloodGroup(req.query.bloodGroup);
+
+          if (!COMPONENTS.includes(component)) {
+            return res.status(400).json({ message: "Invalid component." });
+          }
+          if (
+            compatible === "true" &&
+            bloodGroup &&
+            !isBloodGroup(bloodGroup)
+          ) {
+            return res.status(400).json({ message: "Invalid blood group." });
+          }
+          // with compatible=true, bloodGroup is the recipient's group
+          const groupFilter = (group) =>
+            compatible === "true"
+              ? { $in: donorGroupsFor(group, component) }
+              : group;
+          // donors still inside their deferral window are left out unless
+          // asked for, and then only flagged
+          const eligibility =
+            includeIneligible === "true" ? {} : eligibleNowQuery();
+
+          if (!requestId && !(lat && lng)) {
+            if (!bloodGroup || !district || !upazila) {
+              return res
+                .status(400)
+                .json({ message: "All fields are required." });
+            }
+
+            const query = {
+              bloodGroup: groupFilter(bloodGroup),
+              district,
+              upazila,
+              role: "donor",
+              status: "active",
+              ...notDeleted,
+              ...eligibility,
+              ...searchableQuery(),
+              ...availableNowQuery(localDate()),
+            };
+
+            const donors = await usersCollection.find(query).toArray();
+
+            return res
+              .status(200)
+              .json(
+                flagEligibility(rankByExactMatch(donors, bloodGroup)).map(
+                  publicDonor
+                )
+              );
+          }
+
+          let center;
+          if (requestId) {
+            if (!ObjectId.isValid(requestId)) {
+              return res.status(400).json({ message: "Invalid request ID." });
+            }
+            const request = await requestsCollection.findOne({
+              _id: new ObjectId(requestId),
+              ...notDeleted,
+            });
+            if (!request) {
+              return res
+                .status(404)
+                .json({ message: "Donation request not found." });
+            }
+            if (!request.location) {
+              return res
+                .status(400)
+                .json({ message: "Donation request has no location." });
+            }
+            center = request.location;
+            bloodGroup = bloodGroup || request.bloodGroup;
+            upazila = upazila || request.upazila;
+          } else {
+            center = toGeoPoint(lat, lng);
+            if (!center) {
+              return res
+                .status(400)
+                .json({ message: "Invalid latitude/longitude." });
+            }
+          }
+
+          if (!bloodGroup) {
+            return res
+              .status(400)
+              .json({ message: "Blood group is required." });
+          }
+
+          const radiusKm = parseRadiusKm(radius);
+          const baseQuery = {
+            bloodGroup: groupFilter(bloodGroup),
+            role: "donor",
+            status: "active",
+            ...notDeleted,
+            ...eligibility,
+            ...searchableQuery(),
+            ...availableNowQuery(localDate()),
+          };
+
+          // donors matching `query` within `maxKm` of the center, nearest first
+          const donorsNear = (query, maxKm, matchedBy) =>
+            usersCollection
+              .aggregate([
+                {
+                  $geoNear: {
+                    near: center,
+                    distanceField: "distance",
+                    maxDistance: maxKm * 1000,
+                    spherical: true,
+                    query,
+                  },
+                },
+                {
+                  $addFields: {
+                    distanceKm: {
+                      $round: [{ $divide: ["$distance", 1000] }, 2],
+                    },
+                    matchedBy,
+                  },
+                },
+                { $project: { distance: 0 } },
+              ])
+              .toArray();
+
+          const inRadius = await donorsNear(baseQuery, radiusKm, "radius");
+          const nearby = rankByExactMatch(inRadius, bloodGroup);
+
+          // too few donors in range: widen the circle so neighbouring
+          // upazilas come in, still nearest first
+          const wanted = parseInt(minResults) || 5;
+          if (fallback === "true" && nearby.length < wanted) {
+            const found = nearby.map((donor) => donor._id);
+            const extra = await donorsNear(
+              { ...baseQuery, _id: { $nin: found } },
+              fallbackRadiusKm(radiusKm),
+              {
+                $cond: [
+                  { $eq: ["$upazila", upazila ?? null] },
+                  "upazila",
+                  "neighbouringUpazila",
+                ],
+              }
+            );
+            rankByExactMatch(extra, bloodGroup).forEach((donor) =>
+              nearby.push(donor)
+            );
+          }
+
+          res.status(200).json(flagEligibility(nearby).map(publicDonor));
+        } catch (err) {
+          console.error("Error fetching donors:", err);
+          res.status(500).json({ message: "Failed to fetch donors" });
+        }
+      }
+    );
+
+    // the caller's availability and quiet hours
+    app.get("/availability", verifyFirebaseToken, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne(
+          { email: req.decoded.email, ...notDeleted },
+          { projection: { availability: 1, quietHours: 1 } }
+        );
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(availabilityOf(user, localDate()));
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch availability." });
+      }
+    });
+
+    app.put(
+      "/availability",
+      verifyFirebaseToken,
+      validate({ body: schemas.availability }),
+      async (req, res) => {
+        const { available, until = null, quietHours } = req.body;
+        if (until && until < localDate()) {
+          return res
+            .status(400)
+            .send({ message: "`until` cannot be in the past." });
+        }
+
+        const update = {
+          availability: {
+            available,
+            until,
+            updatedAt: new Date().toISOString(),
+          },
+        };
+        // leaving quietHours out keeps the current ones; null clears them
+        if (quietHours !== undefined) update.quietHours = quietHours;
+
+        try {
+          const result = await usersCollection.findOneAndUpdate(
+            { email: req.decoded.email, ...notDeleted },
+            { $set: update },
+            { returnDocument: "after" }
+          );
+          if (!result) {
+            return res.status(404).send({ message: "User not found" });
+          }
+          res.send(availabilityOf(result, localDate()));
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update availability." });
+        }
+      }
+    );
+
+    // privacy settings of the caller
+    app.get("/privacy-settings", verifyFirebaseToken, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne(
+          { email: req.decoded.email, ...notDeleted },
+          { projection: { privacy: 1 } }
+        );
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(privacyOf(user));
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch privacy settings." });
+      }
+    });
+
+    app.put(
+      "/privacy-settings",
+      verifyFirebaseToken,
+      validate({ body: schemas.privacySettings }),
+      async (req, res) => {
+        const update = Object.fromEntries(
+          Object.entries(req.body).map(([key, value]) => [
+            `privacy.${key}`,
+            value,
+          ])
+        );
+
+        try {
+          const result = await usersCollection.updateOne(
+            { email: req.decoded.email, ...notDeleted },
+            { $set: update }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: "User not found" });
+          }
+          res.send({ message: "Privacy settings updated." });
+        } catch (error) {
+          res
+            .status(500)
+            .send({ message: "Failed to update privacy settings." });
+        }
+      }
+    );
+
+    // contact requests: a requester asks a donor found in search for their
+    // contact details, which are revealed only once the donor accepts
+    app.post(
+      "/donors/:id/contact-requests",
+      verifyFirebaseToken,
+      validate({
+        params: schemas.idParams,
+        body: schemas.createContactRequest,
+      }),
+      async (req, res) => {
+        const { message, donationRequestId } = req.body;
+        const requesterEmail = req.decoded.email;
+
+        try {
+          const donor = await usersCollection.findOne({
+            _id: new ObjectId(req.params.id),
+            role: "donor",
+            status: "active",
+            ...notDeleted,
+          });
+          if (!donor || !privacyOf(donor).searchable) {
+            return res.status(404).send({ message: "Donor not found" });
+          }
+          if (donor.email === requesterEmail) {
+            return res
+              .status(400)
+              .send({ message: "You cannot contact yourself." });
+          }
+          if (!privacyOf(donor).allowContactRequests) {
+            return res.status(403).send({
+              message: "This donor does not accept contact requests.",
+            });
+          }
+
+          const open = await contactRequestsCollection.findOne({
+            donorEmail: donor.email,
+            requesterEmail,
+            status: { $in: ["pending", "accepted"] },
+          });
+          if (open) {
+            return res.status(409).send({
+              message: `You already have a ${open.status} request with this donor.`,
+              contactRequestId: open._id,
+            });
+          }
+
+          const requester = await usersCollection.findOne(
+            { email: requesterEmail, ...notDeleted },
+            { projection: { name: 1 } }
+          );
+          const contactRequest = {
+            donorId: donor._id,
+            donorEmail: donor.email,
+            requesterEmail,
+            requesterName: requester?.name || null,
+            donationRequestId: donationRequestId
+              ? new ObjectId(donationRequestId)
+              : null,
+            message,
+            status: "pending",
+            createdAt: new Date().toISOString(),
+          };
+          const result = await contactRequestsCollection.insertOne(
+            contactRequest
+          );
+
+          await notifier.notify(donor, {
+            type: "contact-request",
+            title: "Someone would like to contact you",
+            body: `${
+              contactRequest.requesterName || "A requester"
+            }: ${message}`,
+            link: "/dashboard/contact-requests",
+          });
+
+          res.status(201).send({ insertedId: result.insertedId });
+        } catch (error) {
+          console.error("Error creating contact request:", error);
+          res.status(500).send({ message: "Failed to send contact request" });
+        }
+      }
+    );
+
+    // the caller's incoming (as donor) or outgoing contact requests. accepted
+    // outgoing ones carry the donor's contact details as currently shared.
+    app.get(
+      "/contact-requests",
+      verifyFirebaseToken,
+      validate({ query: schemas.contactRequestsQuery }),
+      async (req, res) => {
+        const { box, status } = req.query;
+        const filter = {
+          [box === "incoming" ? "donorEmail" : "requesterEmail"]:
+            req.decoded.email,
+          ...(status && { status }),
+        };
+
+        try {
+          const contactRequests = await contactRequestsCollection
+            .find(filter)
+            .sort({ createdAt: -1 })
+            .toArray();
+          if (box === "incoming") return res.send(contactRequests);
+
+          const accepted = contactRequests.filter(
+            (contactRequest) => contactRequest.status === "accepted"
+          );
+          const donors = await usersCollection
+            .find(
+              { _id: { $in: accepted.map(({ donorId }) => donorId) } },
+              {
+                projection: { name: 1, email: 1, phone: 1, privacy: 1 },
+              }
+            )
+            .toArray();
+          const byId = new Map(
+            donors.map((donor) => [String(donor._id), donor])
+          );
+
+          res.send(
+            contactRequests.map(({ donorEmail, ...contactRequest }) => {
+              const donor = byId.get(String(contactRequest.donorId));
+              return contactRequest.status === "accepted" && donor
+                ? { ...contactRequest, donor: contactDetails(donor) }
+                : contactRequest;
+            })
+          );
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch contact requests" });
+        }
+      }
+    );
+
+    // donor accepts/declines, requester withdraws; only pending requests move
+    app.patch(
+      "/contact-requests/:id",
+      verifyFirebaseToken,
+      validate({
+        params: schemas.idParams,
+        body: schemas.respondContactRequest,
+      }),
+      async (req, res) => {
+        const { status } = req.body;
+        const side =
+          CONTACT_RESPONSES[status] === "donor"
+            ? "donorEmail"
+            : "requesterEmail";
+
+        try {
+          const contactRequest =
+            await contactRequestsCollection.findOneAndUpdate(
+              {
+                _id: new ObjectId(req.params.id),
+                [side]: req.decoded.email,
+                status: "pending",
+              },
+              { $set: { status, respondedAt: new Date().toISOString() } },
+              { returnDocument: "after" }
+            );
+          if (!contactRequest) {
+            return res
+              .status(404)
+              .send({ message: "No pending contact request to update" });
+          }
+
+          if (status !== "withdrawn") {
+            await notifyByEmail(contactRequest.requesterEmail, {
+              type: "contact-request",
+              title:
+                status === "accepted"
+                  ? "A donor shared their contact details"
+                  : "A donor declined your contact request",
+              body:
+                status === "accepted"
+                  ? "Open your contact requests to see how to reach them."
+                  : "You can search for other donors nearby.",
+              link: "/dashboard/contact-requests",
+            });
+          }
+
+          res.send({ status: contactRequest.status });
+        } catch (error) {
+          console.error("Error updating contact request:", error);
+          res.status(500).send({ message: "Failed to update contact request" });
+        }
+      }
+    );
+
+    // user update
+    app.put(
+      "/user/update/:email",
+      verifyFirebaseToken,
+      validate({ params: schemas.emailParams, body: schemas.updateUser }),
+      authorize(policies.updateProfile),
+      async (req, res) => {
+        const { email } = req.params;
+        const updatedData = req.body;
+        const locationError = applyLocation(updatedData);
+        if (locationError) {
+          return res.status(400).send({ message: locationError });
+        }
+
+        try {
+          const before = await usersCollection.findOne({ email });
+          const result = await usersCollection.updateOne(
+            { email },
+            { $set: updatedData }
+          );
+
+          if (result.modifiedCount > 0) {
+            await recordAudit(req, {
+              action: "user.update",
+              targetType: "user",
+              targetId: before._id,
+              before,
+              after: { ...before, ...updatedData },
+            });
+            res.send({ message: "Profile updated successfully" });
+          } else {
+            res
+              .status(404)
+              .send({ message: "User not found or no changes made" });
+          }
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Failed to update profile", error: err });
+        }
+      }
+    );
+
+    // uploads
+    // upload a profile avatar and make it the caller's avatar
+    app.post(
+      "/uploads/avatar",
+      verifyFirebaseToken,
+      uploadImage("image"),
+      async (req, res) => {
+        try {
+          const result = await processImage(storage, "avatar", req.file);
+          if (result.error) {
+            return res.status(400).send({ message: result.error });
+          }
+
+          const updated = await usersCollection.updateOne(
+            { email: req.decoded.email, ...notDeleted },
+            { $set: { avatar: result.url } }
+          );
+          if (updated.matchedCount === 0) {
+            return res.status(404).send({ message: "User not found" });
+          }
+
+          res
+            .status(201)
+            .send({ avatar: result.url, variants: result.variants });
+        } catch (error) {
+          console.error("Error uploading avatar:", error);
+          res.status(500).send({ message: "Failed to upload avatar" });
+        }
+      }
+    );
+
+    // upload a blog thumbnail; the returned url is then saved on the blog
+    app.post(
+      "/uploads/blog-thumbnail",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      uploadImage("image"),
+      async (req, res) => {
+        try {
+          const result = await processImage(storage, "blogThumbnail", req.file);
+          if (result.error) {
+            return res.status(400).send({ message: result.error });
+          }
+          res
+            .status(201)
+            .send({ thumbnail: result.url, variants: result.variants });
+        } catch (error) {
+          console.error("Error uploading blog thumbnail:", error);
+          res.status(500).send({ message: "Failed to upload thumbnail" });
+        }
+      }
+    );
+
+    // organisations
+    // resolve hospitalId on a donation request body to the partner hospital,
+    // filling in its name. returns an error message or null.
+    const applyHospital = async (body) => {
+      if (!body.hospitalId) return null;
+      const hospital = await organisationsCollection.findOne({
+        _id: new ObjectId(body.hospitalId),
+        type: "hospital",
+        status: "active",
+      });
+      if (!hospital) return "Unknown hospital.";
+      body.hospitalId = hospital._id;
+      body.hospitalName = hospital.name;
+      return null;
+    };
+
+    // "district|bloodGroup" keys where whole blood stock across the
+    // district's partner organisations is critically low. districts without
+    // any partner are left out, there is no stock to speak of there.
+    const criticalStock = async (districts) => {
+      const organisations = await organisationsCollection
+        .find(
+          { district: { $in: [...new Set(districts)] }, status: "active" },
+          { projection: { district: 1 } }
+        )
+        .toArray();
+      if (organisations.length === 0) return new Set();
+
+      const districtOf = new Map(
+        organisations.map(({ _id, district }) => [String(_id), district])
+      );
+      const rows = await inventoryCollection
+        .aggregate(
+          stockPipeline(
+            {
+              organisationId: { $in: organisations.map(({ _id }) => _id) },
+              component: "whole",
+            },
+            localDate(),
+            { organisationId: "$organisationId" }
+          )
+        )
+        .toArray();
+
+      const critical = new Set();
+      new Set(districtOf.values()).forEach((district) => {
+        const inDistrict = rows.filter(
+          (row) => districtOf.get(String(row._id.organisationId)) === district
+        );
+        stockGrid(inDistrict, ["whole"])
+          .filter((cell) => cell.level === "critical")
+          .forEach((cell) => critical.add(`${district}|${cell.bloodGroup}`));
+      });
+      return critical;
+    };
+
+    // public fields of an organisation
+    const organisationProjection = {
+      name: 1,
+      type: 1,
+      district: 1,
+      upazila: 1,
+      address: 1,
+      phone: 1,
+      email: 1,
+      location: 1,
+    };
+
+    app.post(
+      "/admin/organisations",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ body: schemas.createOrganisation }),
+      async (req, res) => {
+        const organisation = req.body;
+        const locationError = applyLocation(organisation);
+        if (locationError) {
+          return res.status(400).send({ message: locationError });
+        }
+        organisation.status = "active";
+        organisation.createdAt = new Date().toISOString();
+
+        try {
+          const result = await organisationsCollection.insertOne(organisation);
+          await recordAudit(req, {
+            action: "organisation.create",
+            targetType: "organisation",
+            targetId: result.insertedId,
+            after: organisation,
+          });
+          res.status(201).send(result);
+        } catch (error) {
+          console.error("Error creating organisation:", error);
+          res.status(500).send({ message: "Failed to create organisation" });
+        }
+      }
+    );
+
+    app.get(
+      "/admin/organisations",
+      verifyFirebaseToken,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const organisations = await organisationsCollection
+            .find()
+            .sort({ name: 1 })
+            .toArray();
+          res.send(organisations);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch organisations" });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/organisations/:id",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.idParams, body: schemas.updateOrganisation }),
+      async (req, res) => {
+        const updates = req.body;
+        const locationError = applyLocation(updates);
+        if (locationError) {
+          return res.status(400).send({ message: locationError });
+        }
+        updates.updatedAt = new Date().toISOString();
+
+        try {
+          const before = await organisationsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: updates }
+          );
+          if (!before) {
+            return res.status(404).send({ message: "Organisation not found" });
+          }
+          await recordAudit(req, {
+            action: "organisation.update",
+            targetType: "organisation",
+            targetId: req.params.id,
+            before,
+            after: { ...before, ...updates },
+          });
+          res.send({ message: "Organisation updated" });
+        } catch (error) {
+          console.error("Error updating organisation:", error);
+          res.status(500).send({ message: "Failed to update organisation" });
+        }
+      }
+    );
+
+    // roles an organisation assignment must never overwrite
+    const STAFF_ROLES = ["admin", "volunteer"];
+
+    // give a user the organisation role for one organisation. admins and
+    // volunteers are refused rather than demoted; the role a user had before
+    // is kept and given back when they leave the organisation.
+    app.post(
+      "/admin/organisations/:id/staff",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.idParams, body: schemas.organisationStaff }),
+      async (req, res) => {
+        const organisationId = new ObjectId(req.params.id);
+
+        try {
+          const organisation = await organisationsCollection.findOne({
+            _id: organisationId,
+          });
+          if (!organisation) {
+            return res.status(404).send({ message: "Organisation not found" });
+          }
+
+          const user = await usersCollection.findOne({
+            email: req.body.email,
+            ...notDeleted,
+          });
+          if (!user) {
+            return res.status(404).send({ message: "User not found" });
+          }
+          if (STAFF_ROLES.includes(user.role)) {
+            return res.status(409).send({
+              message: `${user.email} is a ${user.role} and cannot join an organisation.`,
+            });
+          }
+
+          const update = {
+            role: "organisation",
+            organisationId,
+            previousRole:
+              user.role === "organisation"
+                ? user.previousRole || "donor"
+                : user.role || "donor",
+          };
+          const before = await usersCollection.findOneAndUpdate(
+            { _id: user._id, role: { $nin: STAFF_ROLES } },
+            { $set: update }
+          );
+          if (!before) {
+            return res
+              .status(409)
+              .send({ message: "The user's role changed meanwhile." });
+          }
+          await recordAudit(req, {
+            action: "user.update",
+            targetType: "user",
+            targetId: before._id,
+            before,
+            after: { ...before, ...update },
+          });
+          res.send({
+            message: `${before.email} now manages ${organisation.name}.`,
+          });
+        } catch (error) {
+          console.error("Error adding organisation staff:", error);
+          res.status(500).send({ message: "Failed to add staff" });
+        }
+      }
+    );
+
+    // take the organisation role away again; the user gets back the role
+    // they had before (donor for staff added before that was recorded)
+    app.delete(
+      "/admin/organisations/:id/staff/:email",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.organisationStaffParams }),
+      async (req, res) => {
+        try {
+          const before = await usersCollection.findOneAndUpdate(
+            {
+              email: req.params.email,
+              role: "organisation",
+              organisationId: new ObjectId(req.params.id),
+              ...notDeleted,
+            },
+            [
+              { $set: { role: { $ifNull: ["$previousRole", "donor"] } } },
+              { $unset: ["organisationId", "previousRole"] },
+            ]
+          );
+          if (!before) {
+            return res.status(404).send({ message: "Staff member not found" });
+          }
+          await recordAudit(req, {
+            action: "user.update",
+            targetType: "user",
+            targetId: before._id,
+            before,
+            after: {
+              ...before,
+              role: before.previousRole || "donor",
+              organisationId: null,
+              previousRole: null,
+            },
+          });
+          res.send({ message: "Staff member removed" });
+        } catch (error) {
+          console.error("Error removing organisation staff:", error);
+          res.status(500).send({ message: "Failed to remove staff" });
+        }
+      }
+    );
+
+    // public directory of partner hospitals and blood banks
+    app.get(
+      "/organisations",
+      validate({ query: schemas.organisationsQuery }),
+      async (req, res) => {
+        const { type, district } = req.query;
+        const filter = { status: "active" };
+        if (type) filter.type = type;
+        if (district) filter.district = district;
+
+        try {
+          const organisations = await organisationsCollection
+            .find(filter, { projection: organisationProjection })
+            .sort({ name: 1 })
+            .toArray();
+          res.send(organisations);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch organisations" });
+        }
+      }
+    );
+
+    // stock levels of one organisation, without batch details
+    app.get(
+      "/organisations/:id/stock",
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const organisation = await organisationsCollection.findOne(
+            { _id: new ObjectId(req.params.id), status: "active" },
+            { projection: organisationProjection }
+          );
+          if (!organisation) {
+            return res.status(404).send({ message: "Organisation not found" });
+          }
+          const rows = await inventoryCollection
+            .aggregate(
+              stockPipeline({ organisationId: organisation._id }, localDate())
+            )
+            .toArray();
+          res.send({ organisation, stock: stockGrid(rows) });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch stock" });
+        }
+      }
+    );
+
+    // combined stock of every partner (in a district), worst first
+    app.get(
+      "/shortages",
+      validate({ query: schemas.shortagesQuery }),
+      async (req, res) => {
+        const { district, component } = req.query;
+        const filter = { status: "active" };
+        if (district) filter.district = district;
+
+        try {
+          const organisations = await organisationsCollection
+            .find(filter, { projection: { _id: 1 } })
+            .toArray();
+          // no partner there means no stock figures, not a shortage
+          if (organisations.length === 0) {
+            return res.send({ organisations: 0, stock: [] });
+          }
+          const rows = await inventoryCollection
+            .aggregate(
+              stockPipeline(
+                {
+                  organisationId: { $in: organisations.map(({ _id }) => _id) },
+                  ...(component && { component }),
+                },
+                localDate()
+              )
+            )
+            .toArray();
+
+          const order = { critical: 0, low: 1, ok: 2 };
+          const stock = stockGrid(
+            rows,
+            component ? [component] : undefined
+          ).sort(
+            (a, b) => order[a.level] - order[b.level] || a.units - b.units
+          );
+          res.send({ organisations: organisations.length, stock });
+        } catch (error) {
+          console.error("Error fetching shortages:", error);
+          res.status(500).send({ message: "Failed to fetch shortages" });
+        }
+      }
+    );
+
+    // inventory of the caller's organisation: unexpired batches and totals
+    app.get(
+      "/organisation/inventory",
+      verifyFirebaseToken,
+      verifyOrganisation,
+      async (req, res) => {
+        const organisationId = req.organisation._id;
+        const today = localDate();
+
+        try {
+          const [batches, rows] = await Promise.all([
+            inventoryCollection
+              .find({
+                organisationId,
+                units: { $gt: 0 },
+                expiresOn: { $gte: today },
+              })
+              .sort({ expiresOn: 1 })
+              .toArray(),
+            inventoryCollection
+              .aggregate(stockPipeline({ organisationId }, today))
+              .toArray(),
+          ]);
+          res.send({
+            organisation: req.organisation,
+            stock: stockGrid(rows),
+            batches,
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch inventory" });
+        }
+      }
+    );
+
+    // stock movements are kept so a count can be traced back
+    const recordStockMovement = (req, batch, delta, reason, note) =>
+      stockMovementsCollection.insertOne({
+        organisationId: req.organisation._id,
+        batchId: batch._id,
+        bloodGroup: batch.bloodGroup,
+        component: batch.component,
+        delta,
+        reason,
+        note: note || null,
+        by: req.decoded.email,
+        createdAt: new Date().toISOString(),
+      });
+
+    // receive a new batch of units
+    app.post(
+      "/organisation/inventory",
+      verifyFirebaseToken,
+      verifyOrganisation,
+      validate({ body: schemas.receiveStock }),
+      async (req, res) => {
+        if (req.body.expiresOn < localDate()) {
+          return res
+            .status(400)
+            .send({ message: "The batch has already expired." });
+        }
+        const batch = {
+          ...req.body,
+          organisationId: req.organisation._id,
+          receivedAt: new Date().toISOString(),
+        };
+
+        try {
+          const result = await inventoryCollection.insertOne(batch);
+          await recordStockMovement(
+            req,
+            { ...batch, _id: result.insertedId },
+            batch.units,
+            "received"
+          );
+          res.status(201).send(result);
+        } catch (error) {
+          console.error("Error receiving stock:", error);
+          res.status(500).send({ message: "Failed to add stock" });
+        }
+      }
+    );
+
+    // issue, discard or correct units of a batch; stock never goes negative
+    app.patch(
+      "/organisation/inventory/:id",
+      verifyFirebaseToken,
+      verifyOrganisation,
+      validate({ params: schemas.idParams, body: schemas.adjustStock }),
+      async (req, res) => {
+        const { delta, reason, note } = req.body;
+
+        try {
+          const batch = await inventoryCollection.findOneAndUpdate(
+            {
+              _id: new ObjectId(req.params.id),
+              organisationId: req.organisation._id,
+              units: { $gte: -delta },
+            },
+            {
+              $inc: { units: delta },
+              $set: { updatedAt: new Date().toISOString() },
+            },
+            { returnDocument: "after" }
+          );
+          if (!batch) {
+            return res.status(409).send({
+              message: "Batch not found or not enough units in it.",
+            });
+          }
+          await recordStockMovement(req, batch, delta, reason, note);
+          res.send({ units: batch.units });
+        } catch (error) {
+          console.error("Error adjusting stock:", error);
+          res.status(500).send({ message: "Failed to adjust stock" });
+        }
+      }
+    );
+
+    // appointments
+    // slots are offered by partner organisations at their premises, or by
+    // admins/volunteers anywhere else (e.g. donation camps)
+    const insertSlot = async (req, res, location, extra) => {
+      const { start, end, capacity } = req.body;
+      if (start <= new Date().toISOString()) {
+        return res
+          .status(400)
+          .send({ message: "Slots must be in the future." });
+      }
+      if (!location) {
+        return res.status(400).send({ message: "A location is required." });
+      }
+
+      const slot = {
+        start,
+        end,
+        capacity,
+        booked: 0,
+        location,
+        ...extra,
+        createdBy: req.decoded.email,
+        createdAt: new Date().toISOString(),
+      };
+      try {
+        const result = await slotsCollection.insertOne(slot);
+        res.status(201).send(result);
+      } catch (error) {
+        console.error("Error creating slot:", error);
+        res.status(500).send({ message: "Failed to create slot" });
+      }
+    };
+
+    app.post(
+      "/organisation/slots",
+      verifyFirebaseToken,
+      verifyOrganisation,
+      validate({ body: schemas.createSlots }),
+      (req, res) => {
+        const { name, address, district, upazila } = req.organisation;
+        return insertSlot(
+          req,
+          res,
+          { name, address, district, upazila },
+          { organisationId: req.organisation._id }
+        );
+      }
+    );
+
+    app.post(
+      "/admin/slots",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ body: schemas.createSlots }),
+      (req, res) => insertSlot(req, res, req.body.location, {})
+    );
+
+    // upcoming slots with free places
+    app.get(
+      "/appointment-slots",
+      validate({ query: schemas.slotsQuery }),
+      async (req, res) => {
+        const { organisationId, district, from, to } = req.query;
+        const filter = {
+          start: { $gte: from || new Date().toISOString() },
+          $expr: { $lt: ["$booked", "$capacity"] },
+        };
+        if (to) filter.start.$lte = to;
+        if (organisationId)
+          filter.organisationId = new ObjectId(organisationId);
+        if (district) filter["location.district"] = district;
+
+        try {
+          const slots = await slotsCollection
+            .find(filter)
+            .sort({ start: 1 })
+            .limit(200)
+            .toArray();
+          res.send(
+            slots.map((slot) => ({
+              ...slot,
+              available: slot.capacity - slot.booked,
+            }))
+          );
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch slots" });
+        }
+      }
+    );
+
+    // a booked appointment of the donor overlapping [start, end), other than
+    // `exceptId`. only call it while holding the donor's booking lock, or two
+    // bookings into different, overlapping slots can both pass it.
+    const findClash = (email, { start, end }, exceptId) =>
+      appointmentsCollection.findOne({
+        email,
+        status: "booked",
+        start: { $lt: end },
+        end: { $gt: start },
+        ...(exceptId && { _id: { $ne: exceptId } }),
+      });
+
+    // bookings and reschedules of one donor run one at a time: the lock is a
+    // document keyed by their email. one left behind by a crashed request is
+    // taken over once it expires. returns the lock, or null while another
+    // booking of theirs is in progress.
+    const BOOKING_LOCK_MS = 30 * 1000;
+    const lockBookings = async (email) => {
+      const now = new Date();
+      const lock = { _id: email, token: new ObjectId() };
+      try {
+        await bookingLocksCollection.updateOne(
+          { _id: email, expiresAt: { $lte: now.toISOString() } },
+          {
+            $set: {
+              token: lock.token,
+              expiresAt: new Date(
+                now.getTime() + BOOKING_LOCK_MS
+              ).toISOString(),
+            },
+          },
+          { upsert: true }
+        );
+        return lock;
+      } catch (error) {
+        // the upsert ran into a lock that has not expired yet
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    };
+
+    // the token keeps a request whose lock expired from releasing the next one
+    const unlockBookings = (lock) =>
+      bookingLocksCollection
+        .deleteOne(lock)
+        .catch((error) =>
+          console.error("Error releasing booking lock:", error)
+        );
+
+    const bookingBusy = {
+      message: "Another booking of yours is in progress; try again.",
+    };
+
+    // take one place in a future slot; returns the slot, or an error reply
+    const reserveSlot = async (slotId) => {
+      const slot = await slotsCollection.findOneAndUpdate(
+        {
+          _id: new ObjectId(slotId),
+          start: { $gt: new Date().toISOString() },
+          $expr: { $lt: ["$booked", "$capacity"] },
+        },
+        { $inc: { booked: 1 } },
+        { returnDocument: "after" }
+      );
+      return slot
+        ? { slot }
+        : { code: 409, message: "This slot is full or no longer open." };
+    };
+
+    const releaseSlot = (slotId) =>
+      slotsCollection.updateOne(
+        { _id: slotId, booked: { $gt: 0 } },
+        { $inc: { booked: -1 } }
+      );
+
+    // the appointment fields copied from its slot
+    const slotDetails = (slot) => ({
+      slotId: slot._id,
+      start: slot.start,
+      end: slot.end,
+      location: slot.location,
+      organisationId: slot.organisationId || null,
+    });
+
+    app.post(
+      "/appointments",
+      verifyFirebaseToken,
+      validate({ body: schemas.bookAppointment }),
+      async (req, res) => {
+        const { email } = req.decoded;
+        const { slotId, donationRequestId } = req.body;
+
+        try {
+          // an appointment can only be tied to a request the caller is the
+          // claimed donor of
+          if (donationRequestId) {
+            const request = await requestsCollection.findOne({
+              _id: new ObjectId(donationRequestId),
+              status: "inprogress",
+              "donor.email": email,
+              ...notDeleted,
+            });
+            if (!request) {
+              return res.status(400).send({
+                message: "You are not the donor of that donation request.",
+              });
+            }
+          }
+
+          const target = await slotsCollection.findOne({
+            _id: new ObjectId(slotId),
+          });
+          if (!target) {
+            return res.status(404).send({ message: "Slot not found" });
+          }
+          const lock = await lockBookings(email);
+          if (!lock) return res.status(409).send(bookingBusy);
+          try {
+            const clash = await findClash(email, target);
+            if (clash) {
+              return res.status(409).send({
+                message: "You already have an appointment at that time.",
+                appointmentId: clash._id,
+              });
+            }
+
+            const { slot, code, message } = await reserveSlot(slotId);
+            if (!slot) return res.status(code).send({ message });
+
+            const user = await usersCollection.findOne(
+              { email, ...notDeleted },
+              { projection: { name: 1 } }
+            );
+            const appointment = {
+              email,
+              donorName: user?.name || null,
+              ...slotDetails(slot),
+              donationRequestId: donationRequestId
+                ? new ObjectId(donationRequestId)
+                : null,
+              status: "booked",
+              createdAt: new Date().toISOString(),
+            };
+
+            try {
+              const result = await appointmentsCollection.insertOne(
+                appointment
+              );
+              res.status(201).send(result);
+            } catch (error) {
+              await releaseSlot(slot._id);
+              if (error.code === 11000) {
+                return res
+                  .status(409)
+                  .send({ message: "You already booked this slot." });
+              }
+              throw error;
+            }
+          } finally {
+            await unlockBookings(lock);
+          }
+        } catch (error) {
+          console.error("Error booking appointment:", error);
+          res.status(500).send({ message: "Failed to book appointment" });
+        }
+      }
+    );
+
+    // the caller's appointments, upcoming first
+    app.get("/appointments", verifyFirebaseToken, async (req, res) => {
+      try {
+        const appointments = await appointmentsCollection
+          .find({ email: req.decoded.email })
+          .sort({ start: -1 })
+          .toArray();
+        res.send(appointments);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch appointments" });
+      }
+    });
+
+    // the caller's booked, not yet started appointment
+    const findOwnUpcoming = (id, email) =>
+      appointmentsCollection.findOne({
+        _id: new ObjectId(id),
+        email,
+        status: "booked",
+        start: { $gt: new Date().toISOString() },
+      });
+
+    // move an appointment to another slot
+    app.patch(
+      "/appointments/:id",
+      verifyFirebaseToken,
+      validate({
+        params: schemas.idParams,
+        body: schemas.rescheduleAppointment,
+      }),
+      async (req, res) => {
+        const { email } = req.decoded;
+        const { slotId } = req.body;
+
+        try {
+          const appointment = await findOwnUpcoming(req.params.id, email);
+          if (!appointment) {
+            return res
+              .status(404)
+              .send({ message: "No upcoming appointment to reschedule" });
+          }
+          if (String(appointment.slotId) === slotId) {
+            return res.send({ message: "Appointment unchanged" });
+          }
+
+          const target = await slotsCollection.findOne({
+            _id: new ObjectId(slotId),
+          });
+          if (!target) {
+            return res.status(404).send({ message: "Slot not found" });
+          }
+          const lock = await lockBookings(email);
+          if (!lock) return res.status(409).send(bookingBusy);
+          try {
+            const clash = await findClash(email, target, appointment._id);
+            if (clash) {
+              return res.status(409).send({
+                message: "You already have an appointment at that time.",
+                appointmentId: clash._id,
+              });
+            }
+
+            const { slot, code, message } = await reserveSlot(slotId);
+            if (!slot) return res.status(code).send({ message });
+
+            let result;
+            try {
+              result = await appointmentsCollection.updateOne(
+                { _id: appointment._id, status: "booked" },
+                {
+                  $set: {
+                    ...slotDetails(slot),
+                    updatedAt: new Date().toISOString(),
+                  },
+                  $push: {
+                    rescheduledFrom: {
+                      slotId: appointment.slotId,
+                      start: appointment.start,
+                    },
+                  },
+                }
+              );
+            } catch (error) {
+              await releaseSlot(slot._id);
+              if (error.code === 11000) {
+                return res
+                  .status(409)
+                  .send({ message: "You already booked this slot." });
+              }
+              throw error;
+            }
+            // canceled in the meantime: give the new place back
+            if (result.modifiedCount === 0) {
+              await releaseSlot(slot._id);
+              return res
+                .status(409)
+                .send({ message: "The appointment was canceled meanwhile." });
+            }
+            await releaseSlot(appointment.slotId);
+
+            res.send({ message: "Appointment rescheduled" });
+          } finally {
+            await unlockBookings(lock);
+          }
+        } catch (error) {
+          console.error("Error rescheduling appointment:", error);
+          res.status(500).send({ message: "Failed to reschedule appointment" });
+        }
+      }
+    );
+
+    app.delete(
+      "/appointments/:id",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const appointment = await appointmentsCollection.findOneAndUpdate(
+            {
+              _id: new ObjectId(req.params.id),
+              email: req.decoded.email,
+              status: "booked",
+              start: { $gt: new Date().toISOString() },
+            },
+            {
+              $set: {
+                status: "canceled",
+                canceledAt: new Date().toISOString(),
+              },
+            }
+          );
+          if (!appointment) {
+            return res
+              .status(404)
+              .send({ message: "No upcoming appointment to cancel" });
+          }
+          await releaseSlot(appointment.slotId);
+          res.send({ message: "Appointment canceled" });
+        } catch (error) {
+          console.error("Error canceling appointment:", error);
+          res.status(500).send({ message: "Failed to cancel appointment" });
+        }
+      }
+    );
+
+    // calendar apps cannot send firebase tokens, so each user gets a secret
+    // feed link instead. asking again with rotate=true replaces the link.
+    app.post("/calendar-token", verifyFirebaseToken, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne(
+          { email: req.decoded.email, ...notDeleted },
+          { projection: { calendarToken: 1 } }
+        );
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        let token = user.calendarToken;
+        if (!token || req.query.rotate === "true") {
+          token = crypto.randomBytes(24).toString("base64url");
+          await usersCollection.updateOne(
+            { _id: user._id },
+            { $set: { calendarToken: token } }
+          );
+        }
+        res.send({ path: `/calendar/${token}.ics` });
+      } catch (error) {
+        res.status(500).send({ message: "Failed to create calendar link" });
+      }
+    });
+
+    app.get(
+      "/calendar/:token",
+      validate({ params: schemas.calendarParams }),
+      async (req, res) => {
+        const token = req.params.token.replace(/\.ics$/, "");
+
+        try {
+          const user = await usersCollection.findOne(
+            { calendarToken: token, ...notDeleted },
+            { projection: { email: 1 } }
+          );
+          if (!user) {
+            return res.status(404).send({ message: "Calendar not found" });
+          }
+
+          // canceled ones stay in the feed for a while so apps remove them
+          const since = new Date(
+            Date.now() - 90 * 24 * 60 * 60 * 1000
+          ).toISOString();
+          const appointments = await appointmentsCollection
+            .find({ email: user.email, start: { $gte: since } })
+            .sort({ start: 1 })
+            .toArray();
+
+          res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+          res.send(
+            buildCalendar(
+              "BloodGrid appointments",
+              appointments.map((appointment) => ({
+                uid: `${appointment._id}@bloodgrid`,
+                start: appointment.start,
+                end: appointment.end,
+                summary: `Blood donation at ${appointment.location?.name}`,
+                location: [
+                  appointment.location?.name,
+                  appointment.location?.address,
+                  appointment.location?.upazila,
+                  appointment.location?.district,
+                ]
+                  .filter(Boolean)
+                  .join(", "),
+                canceled: appointment.status === "canceled",
+                updatedAt:
+                  appointment.canceledAt ||
+                  appointment.updatedAt ||
+                  appointment.createdAt,
+              }))
+            )
+          );
+        } catch (error) {
+          console.error("Error building calendar:", error);
+          res.status(500).send({ message: "Failed to build calendar" });
+        }
+      }
+    );
+
+    // blood drives
+    // camps with how many donors have signed up (canceled ones excluded)
+    const campsWithRegistrations = async (camps) => {
+      const counts = await campRegistrationsCollection
+        .aggregate([
+          {
+            $match: {
+              campId: { $in: camps.map((camp) => camp._id) },
+              status: { $ne: "canceled" },
+            },
+          },
+          { $group: { _id: "$campId", registered: { $sum: 1 } } },
+        ])
+        .toArray();
+      const byCamp = new Map(
+        counts.map((row) => [String(row._id), row.registered])
+      );
+      return camps.map((camp) => ({
+        ...camp,
+        registered: byCamp.get(String(camp._id)) || 0,
+      }));
+    };
+
+    const dateRange = (from, to) =>
+      from || to
+        ? { date: { ...(from && { $gte: from }), ...(to && { $lte: to }) } }
+        : {};
+
+    // create camp
+    app.post(
+      "/admin/camps",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ body: schemas.createCamp }),
+      async (req, res) => {
+        if (req.body.date < localDate()) {
+          return res
+            .status(400)
+            .send({ message: "A camp cannot be scheduled in the past." });
+        }
+
+        const camp = {
+          ...req.body,
+          status: "scheduled",
+          createdBy: req.decoded.email,
+          createdAt: new Date().toISOString(),
+        };
+        try {
+          const result = await campsCollection.insertOne(camp);
+          await recordAudit(req, {
+            action: "camp.create",
+            targetType: "camp",
+            targetId: result.insertedId,
+            after: camp,
+          });
+          res.status(201).send(result);
+        } catch (error) {
+          console.error("Error creating camp:", error);
+          res.status(500).send({ message: "Failed to create camp" });
+        }
+      }
+    );
+
+    // all camps, most recent first
+    app.get(
+      "/admin/camps",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ query: schemas.adminCampsQuery }),
+      async (req, res) => {
+        const { status, from, to } = req.query;
+        const filter = { ...dateRange(from, to) };
+        if (status) filter.status = status;
+
+        try {
+          const camps = await campsCollection
+            .find(filter)
+            .sort({ date: -1 })
+            .toArray();
+          res.send(await campsWithRegistrations(camps));
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch camps" });
+        }
+      }
+    );
+
+    // update camp; canceling it tells everyone signed up
+    app.patch(
+      "/admin/camps/:id",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ params: schemas.idParams, body: schemas.updateCamp }),
+      async (req, res) => {
+        const { id } = req.params;
+        const updates = req.body;
+
+        try {
+          const before = await campsCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!before) {
+            return res.status(404).send({ message: "Camp not found" });
+          }
+          if (before.status !== "scheduled") {
+            return res
+              .status(409)
+              .send({ message: `This camp is already ${before.status}.` });
+          }
+
+          if (updates.location) {
+            updates.location = { ...before.location, ...updates.location };
+          }
+          const after = { ...before, ...updates };
+          if (after.endTime <= after.startTime) {
+            return res
+              .status(400)
+              .send({ message: "endTime must be after startTime." });
+          }
+          if (updates.status === "completed" && after.date > localDate()) {
+            return res
+              .status(400)
+              .send({ message: "A camp cannot be completed before its date." });
+          }
+
+          updates.updatedAt = new Date().toISOString();
+          await campsCollection.updateOne(
+            { _id: before._id },
+            { $set: updates }
+          );
+          await recordAudit(req, {
+            action: "camp.update",
+            targetType: "camp",
+            targetId: id,
+            before,
+            after: { ...after, updatedAt: updates.updatedAt },
+          });
+
+          if (updates.status === "canceled") {
+            const registrations = await campRegistrationsCollection
+              .find({ campId: before._id, status: "registered" })
+              .toArray();
+            const donors = await usersCollection
+              .find({
+                email: { $in: registrations.map(({ email }) => email) },
+                ...notDeleted,
+              })
+              .toArray();
+            for (const donor of donors) {
+              await notifier.notify(donor, {
+                type: "camp-canceled",
+                title: `${before.title} is canceled`,
+                body: `The blood drive at ${before.location.name} on ${before.date} will not take place.`,
+                link: `/camps/${before._id}`,
+              });
+            }
+          }
+
+          res.send({ message: "Camp updated" });
+        } catch (error) {
+          console.error("Error updating camp:", error);
+          res.status(500).send({ message: "Failed to update camp" });
+        }
+      }
+    );
+
+    // upcoming camps, optionally in a district or asking for a blood group
+    app.get(
+      "/camps",
+      validate({ query: schemas.campsQuery }),
+      async (req, res) => {
+        const { district, bloodGroup, from, to } = req.query;
+        const filter = {
+          status: "scheduled",
+          ...dateRange(from || localDate(), to),
+        };
+        if (district) filter["location.district"] = district;
+        if (bloodGroup) {
+          filter.$or = [{ bloodGroups: bloodGroup }, { bloodGroups: [] }];
+        }
+
+        try {
+          const camps = await campsCollection
+            .find(filter)
+            .sort({ date: 1, startTime: 1 })
+            .toArray();
+          res.send(await campsWithRegistrations(camps));
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch camps" });
+        }
+      }
+    );
+
+    app.get(
+      "/camps/:id",
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const camp = await campsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!camp) {
+            return res.status(404).send({ message: "Camp not found" });
+          }
+          const [withCount] = await campsWithRegistrations([camp]);
+          res.send(withCount);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch camp" });
+        }
+      }
+    );
+
+    // sign up for a camp
+    app.post(
+      "/camps/:id/registrations",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        const { email } = req.decoded;
+
+        try {
+          const camp = await campsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+            status: "scheduled",
+            date: { $gte: localDate() },
+          });
+          if (!camp) {
+            return res
+              .status(404)
+              .send({ message: "No upcoming camp found to register for" });
+          }
+
+          const user = await usersCollection.findOne({ email, ...notDeleted });
+          if (!user || user.status === "blocked") {
+            return res.status(403).send({ message: "Forbidden access." });
+          }
+          if (
+            user.nextEligibleAt &&
+            user.nextEligibleAt.slice(0, 10) > camp.date
+          ) {
+            return res.status(409).send({
+              message: "You will not be eligible to donate by the camp date.",
+              nextEligibleAt: user.nextEligibleAt,
+            });
+          }
+
+          const existing = await campRegistrationsCollection.findOne({
+            campId: camp._id,
+            email,
+          });
+          if (existing && existing.status !== "canceled") {
+            return res
+              .status(409)
+              .send({ message: "You are already registered for this camp." });
+          }
+
+          const now = new Date().toISOString();
+          if (existing) {
+            // signing up again after canceling reuses the old registration
+            await campRegistrationsCollection.updateOne(
+              { _id: existing._id, status: "canceled" },
+              { $set: { status: "registered", updatedAt: now } }
+            );
+          } else {
+            await campRegistrationsCollection.insertOne({
+              campId: camp._id,
+              email,
+              name: user.name,
+              bloodGroup: user.bloodGroup || null,
+              walkIn: false,
+              status: "registered",
+              createdAt: now,
+            });
+          }
+
+          res.status(201).send({ message: "Registered for the camp" });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res
+              .status(409)
+              .send({ message: "You are already registered for this camp." });
+          }
+          console.error("Error registering for camp:", error);
+          res.status(500).send({ message: "Failed to register for camp" });
+        }
+      }
+    );
+
+    app.delete(
+      "/camps/:id/registrations",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const result = await campRegistrationsCollection.updateOne(
+            {
+              campId: new ObjectId(req.params.id),
+              email: req.decoded.email,
+              status: "registered",
+            },
+            {
+              $set: {
+                status: "canceled",
+                updatedAt: new Date().toISOString(),
+              },
+            }
+          );
+          if (result.matchedCount === 0) {
+            return res
+              .status(404)
+              .send({ message: "No registration to cancel" });
+          }
+          res.send({ message: "Registration canceled" });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to cancel registration" });
+        }
+      }
+    );
+
+    // the caller's camp sign-ups with the camp details
+    app.get("/camp-registrations", verifyFirebaseToken, async (req, res) => {
+      try {
+        const registrations = await campRegistrationsCollection
+          .aggregate([
+            { $match: { email: req.decoded.email } },
+            { $sort: { createdAt: -1 } },
+            {
+              $lookup: {
+                from: "camps",
+                localField: "campId",
+                foreignField: "_id",
+                as: "camp",
+                pipeline: [
+                  {
+                    $project: {
+                      title: 1,
+                      date: 1,
+                      startTime: 1,
+                      endTime: 1,
+                      location: 1,
+                      status: 1,
+                    },
+                  },
+                ],
+              },
+            },
+            { $unwind: "$camp" },
+          ])
+          .toArray();
+        res.send(registrations);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch registrations" });
+      }
+    });
+
+    app.get(
+      "/admin/camps/:id/registrations",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({
+        params: schemas.idParams,
+        query: schemas.campRegistrationsQuery,
+      }),
+      async (req, res) => {
+        const filter = { campId: new ObjectId(req.params.id) };
+        if (req.query.status) filter.status = req.query.status;
+
+        try {
+          const registrations = await campRegistrationsCollection
+            .find(filter)
+            .sort({ name: 1 })
+            .toArray();
+          res.send(registrations);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch registrations" });
+        }
+      }
+    );
+
+    // mark a donor as arrived; donors without a registration are added as
+    // walk-ins
+    app.post(
+      "/admin/camps/:id/check-in",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ params: schemas.idParams, body: schemas.campCheckIn }),
+      async (req, res) => {
+        const { email } = req.body;
+        const now = new Date().toISOString();
+        const checkIn = {
+          status: "checkedIn",
+          checkedInAt: now,
+          checkedInBy: req.decoded.email,
+          updatedAt: now,
+        };
+
+        try {
+          const camp = await campsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!camp) {
+            return res.status(404).send({ message: "Camp not found" });
+          }
+          if (camp.status !== "scheduled" || camp.date !== localDate()) {
+            return res
+              .status(409)
+              .send({ message: "Check-in is only open on the camp day." });
+          }
+
+          const registration =
+            await campRegistrationsCollection.findOneAndUpdate(
+              {
+                campId: camp._id,
+                email,
+                status: { $in: ["registered", "canceled"] },
+              },
+              { $set: checkIn },
+              { returnDocument: "after" }
+            );
+          if (registration) return res.send(registration);
+
+          const existing = await campRegistrationsCollection.findOne({
+            campId: camp._id,
+            email,
+          });
+          if (existing) {
+            return res.status(409).send({
+              message: `This donor is already ${existing.status}.`,
+            });
+          }
+
+          const user = await usersCollection.findOne({ email, ...notDeleted });
+          if (!user) {
+            return res.status(404).send({ message: "User not found" });
+          }
+          const walkIn = {
+            campId: camp._id,
+            email,
+            name: user.name,
+            bloodGroup: user.bloodGroup || null,
+            walkIn: true,
+            createdAt: now,
+            ...checkIn,
+          };
+          const result = await campRegistrationsCollection.insertOne(walkIn);
+          res.status(201).send({ _id: result.insertedId, ...walkIn });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res
+              .status(409)
+              .send({ message: "This donor was just checked in." });
+          }
+          console.error("Error checking in donor:", error);
+          res.status(500).send({ message: "Failed to check in donor" });
+        }
+      }
+    );
+
+    // record whether a checked in donor gave blood; donations go into the
+    // donor's history like fulfilled requests do
+    app.patch(
+      "/admin/camps/:id/registrations/:registrationId",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({
+        params: schemas.campRegistrationParams,
+        body: schemas.campOutcome,
+      }),
+      async (req, res) => {
+        const { outcome, bloodGroup, units, deferralReason } = req.body;
+        const now = new Date().toISOString();
+
+        try {
+          const camp = await campsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!camp) {
+            return res.status(404).send({ message: "Camp not found" });
+          }
+
+          const update = {
+            status: outcome,
+            recordedBy: req.decoded.email,
+            updatedAt: now,
+          };
+          if (bloodGroup) update.bloodGroup = bloodGroup;
+          if (outcome === "donated") {
+            update.units = units;
+            update.donatedAt = now;
+          } else {
+            update.deferralReason = deferralReason;
+          }
+
+          const registration =
+            await campRegistrationsCollection.findOneAndUpdate(
+              {
+                _id: new ObjectId(req.params.registrationId),
+                campId: camp._id,
+                status: "checkedIn",
+              },
+              { $set: update },
+              { returnDocument: "after" }
+            );
+          if (!registration) {
+            return res
+              .status(409)
+              .send({ message: "Only checked in donors can be recorded." });
+          }
+
+          if (outcome === "donated") {
+            if (bloodGroup) {
+              await usersCollection.updateOne(
+                { email: registration.email, bloodGroup: { $ne: bloodGroup } },
+                { $set: { bloodGroup } }
+              );
+            }
+            await recordDonation(registration.email, {
+              source: "camp",
+              campId: camp._id,
+              campTitle: camp.title,
+              bloodGroup: registration.bloodGroup,
+              units,
+              hospitalName: camp.location.name,
+              donatedAt: now,
+            });
+          }
+
+          await recordAudit(req, {
+            action: `camp.${outcome}`,
+            targetType: "campRegistration",
+            targetId: registration._id,
+            after: registration,
+          });
+          res.send(registration);
+        } catch (error) {
+          console.error("Error recording camp outcome:", error);
+          res.status(500).send({ message: "Failed to record outcome" });
+        }
+      }
+    );
+
+    // attendance and units collected against the camp's targets
+    app.get(
+      "/admin/camps/:id/report",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const camp = await campsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!camp) {
+            return res.status(404).send({ message: "Camp not found" });
+          }
+          const [facets] = await campRegistrationsCollection
+            .aggregate(campReportPipeline(camp._id))
+            .toArray();
+          res.send(campReport(camp, facets, localDate()));
+        } catch (error) {
+          console.error("Error building camp report:", error);
+          res.status(500).send({ message: "Failed to build camp report" });
+        }
+      }
+    );
+
+    // donation
+    // create donation request
+    app.post(
+      "/donation-requests",
+      verifyFirebaseToken,
+      validate({ body: schemas.createDonationRequest }),
+      authorize(policies.createDonationRequest),
+      async (req, res) => {
+        const requestData = req.body;
+        delete requestData.donor;
+        const locationError = applyLocation(requestData);
+        if (locationError) {
+          return res.status(400).send({ message: locationError });
+        }
+        const hospitalError = await applyHospital(requestData);
+        if (hospitalError) {
+          return res.status(400).send({ message: hospitalError });
+        }
+        requestData.createdAt = new Date().toISOString();
+        requestData.status = "pending";
+        requestData.statusHistory = [
+          {
+            from: null,
+            to: "pending",
+            changedBy: requestData.requesterEmail,
+            role: "requester",
+            changedAt: requestData.createdAt,
+          },
+        ];
+
+        try {
+          const result = await requestsCollection.insertOne(requestData);
+          res.status(201).send({
+            ...result,
+            message: "Donation request has been created.",
+          });
+
+          notifyMatchingDonors({
+            ...requestData,
+            _id: result.insertedId,
+          }).catch((err) => console.error("Error notifying donors:", err));
+        } catch (err) {
+          console.error("Error creating donation request:", err.message);
+
+          res.status(500).send({
+            message: "Failed to create donation request.",
+            error: err.message, // optional: remove in production for security
+          });
+        }
+      }
+    );
+    // sort options for the public feed; each ends in _id for stable cursors
+    const FEED_SORTS = {
+      urgency: [
+        ["urgencyRank", 1],
+        ["createdAt", -1],
+        ["_id", -1],
+      ],
+      newest: [
+        ["createdAt", -1],
+        ["_id", -1],
+      ],
+      oldest: [
+        ["createdAt", 1],
+        ["_id", 1],
+      ],
+      donationDate: [
+        ["donationDate", 1],
+        ["_id", 1],
+      ],
+      relevance: [
+        ["score", -1],
+        ["_id", -1],
+      ],
+    };
+
+    // requests as unauthenticated visitors may see them, without contact
+    // details (see publicRequest)
+    const publicRequests = async (requests) => {
+      const emails = requests
+        .map((request) => request.donor?.email)
+        .filter(Boolean);
+      const donors = emails.length
+        ? await usersCollection
+            .find({ email: { $in: emails }, ...notDeleted })
+            .toArray()
+        : [];
+      const byEmail = new Map(donors.map((donor) => [donor.email, donor]));
+      return requests.map((request) =>
+        publicRequest(request, byEmail.get(request.donor?.email))
+      );
+    };
+
+    // public donation request feed: text search (q), filters, sorting and
+    // cursor pagination. with compatible=true, bloodGroup is the donor's
+    // group and the feed lists every request they can fulfil, exact matches
+    // first. pages come as { requests, total, nextCursor } once a cursor or
+    // limit is given; older clients that send neither get the plain array.
+    app.get(
+      "/donation-requests",
+      validate({ query: schemas.donationRequestsQuery }),
+      async (req, res) => {
+        const {
+          q,
+          status,
+          bloodGroup,
+          district,
+          upazila,
+          urgency,
+          from,
+          to,
+          compatible,
+          component,
+          sort,
+          cursor,
+          limit,
+        } = req.query;
+        const isCompatible = compatible === "true";
+        const paged = Boolean(cursor || limit);
+        const pageSize = limit || 20;
+
+        const filter = { ...notDeleted };
+        if (q) filter.$text = { $search: q };
+        if (status) filter.status = status;
+        if (district) filter.district = district;
+        if (upazila) filter.upazila = upazila;
+        if (urgency) filter.urgency = urgency;
+        if (from || to) {
+          filter.donationDate = {};
+          if (from) filter.donationDate.$gte = from;
+          if (to) filter.donationDate.$lte = to;
+        }
+
+        if (isCompatible) {
+          if (!bloodGroup || bloodGroup === "all") {
+            return res
+              .status(400)
+              .send({ message: "A valid bloodGroup is required." });
+          }
+          filter.bloodGroup = {
+            $in: recipientGroupsFor(bloodGroup, component),
+          };
+        } else if (bloodGroup && bloodGroup !== "all") {
+          filter.bloodGroup = bloodGroup;
+        }
+
+        if (sort === "relevance" && !q) {
+          return res
+            .status(400)
+            .send({ message: "Sorting by relevance requires a search query." });
+        }
+        const order = [
+          ...(isCompatible ? [["exactMatch", -1]] : []),
+          ...FEED_SORTS[sort],
+        ];
+
+        const pipeline = [{ $match: filter }];
+        // critical first; requests from before urgency existed count as normal
+        const computed = {
+          urgencyRank: {
+            $indexOfArray: [
+              URGENCY_LEVELS,
+              { $ifNull: ["$urgency", "normal"] },
+            ],
+          },
+        };
+        if (q) computed.score = { $meta: "textScore" };
+        if (isCompatible) {
+          computed.exactMatch = { $eq: ["$bloodGroup", bloodGroup] };
+        }
+        pipeline.push({ $addFields: computed });
+        if (cursor) {
+          const values = decodeCursor(cursor, order);
+          if (!values) {
+            return res.status(400).send({ message: "Invalid cursor." });
+          }
+          pipeline.push(afterCursor(order, values));
+        }
+        pipeline.push(sortStage(order));
+        if (paged) pipeline.push({ $limit: pageSize + 1 });
+
+        try {
+          const [rows, total] = await Promise.all([
+            requestsCollection.aggregate(pipeline).toArray(),
+            paged ? requestsCollection.countDocuments(filter) : null,
+          ]);
+          const { rows: page, nextCursor } = paged
+            ? paginate(rows, pageSize, order)
+            : { rows };
+          const critical = await criticalStock(
+            page.map((request) => request.district)
+          );
+          const requests = await publicRequests(
+            page.map((request) => ({
+              ...request,
+              criticalStock: critical.has(
+                `${request.district}|${request.bloodGroup}`
+              ),
+            }))
+          );
+
+          res.send(paged ? { requests, total, nextCursor } : requests);
+        } catch (err) {
+          console.error("Error fetching donation requests:", err);
+          res
+            .status(500)
+            .send({ message: "Failed to fetch donation requests." });
+        }
+      }
+    );
+    // get donation req details
+    app.get(
+      "/donation-requests/:id",
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        const { id } = req.params;
+        try {
+          const request = await requestsCollection.findOne({
+            _id: new ObjectId(id),
+            ...notDeleted,
+          });
+          if (!request) {
+            return res
+              .status(404)
+              .send({ message: "Donation request not found." });
+          }
+          const [shown] = await publicRequests([request]);
+          res.send(shown);
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Error retrieving request.", error: err });
+        }
+      }
+    );
+    // get my donation
+    app.get(
+      "/my-donation-requests/user",
+      verifyFirebaseToken,
+      validate({ query: schemas.myDonationRequestsQuery }),
+      verifyEmailQueryMatch,
+      async (req, res) => {
+        const { email, status, page = 1, limit = 5 } = req.query;
+        const parsedLimit = parseInt(limit);
+        const skip = (parseInt(page) - 1) * parsedLimit;
+
+        const query = { requesterEmail: email, ...notDeleted };
+        if (status) query.status = status;
+
+        const total = await requestsCollection.countDocuments(query);
+        const requests = await requestsCollection
+          .find(query)
+          .skip(skip)
+          .limit(parsedLimit)
+          .sort({ createdAt: -1 })
+          .toArray();
+
+        res.send({
+          requests,
+          totalPages: Math.ceil(total / parsedLimit),
+        });
+      }
+    );
+    // update donation request status (claim, withdraw, complete, cancel)
+    app.patch(
+      "/donation-requests/:id/donate",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams, body: schemas.donateAction }),
+      async (req, res) => {
+        const { id } = req.params;
+        const { donorName } = req.body;
+        const status =
+          req.body.status || (donorName ? "inprogress" : undefined);
+
+        if (!status) {
+          return res.status(400).send({
+            message: "Nothing to update. Provide status or donor info.",
+          });
+        }
+
+        try {
+          const result = await transitionDonationRequest({
+            id,
+            to: status,
+            actorEmail: req.decoded.email,
+            donorName,
+          });
+
+          if (result.code !== 200) {
+            return res.status(result.code).send({ message: result.message });
+          }
+
+          req.user = result.actor;
+          await recordAudit(req, {
+            action: "donationRequest.status",
+            targetType: "donationRequest",
+            targetId: id,
+            before: { status: result.from },
+            after: { status: result.to },
+          });
+
+          res.send({
+            message: "Donation request updated successfully.",
+            from: result.from,
+            status: result.to,
+          });
+        } catch (err) {
+          res.status(500).send({
+            message: "Error updating donation request.",
+            error: err,
+          });
+        }
+      }
+    );
+
+    app.patch(
+      "/donation-requests/:id",
+      verifyFirebaseToken,
+      validate({
+        params: schemas.idParams,
+        body: schemas.updateDonationRequest,
+      }),
+      authorize(policies.editDonationRequest),
+      async (req, res) => {
+        const { id } = req.params;
+        const { status, ...updateData } = req.body;
+
+        const locationError = applyLocation(updateData);
+        if (locationError) {
+          return res.status(400).send({ error: locationError });
+        }
+
+        try {
+          const hospitalError = await applyHospital(updateData);
+          if (hospitalError) {
+            return res.status(400).send({ error: hospitalError });
+          }
+
+          if (status) {
+            const transition = await transitionDonationRequest({
+              id,
+              to: status,
+              actorEmail: req.decoded.email,
+              set: updateData,
+            });
+
+            if (transition.code !== 200) {
+              return res
+                .status(transition.code)
+                .send({ error: transition.message });
+            }
+
+            await recordAudit(req, {
+              action: "donationRequest.update",
+              targetType: "donationRequest",
+              targetId: id,
+              before: transition.request,
+              after: { ...transition.request, ...updateData, status },
+            });
+            return res.send({ acknowledged: true, modifiedCount: 1 });
+          }
+
+          const before = await requestsCollection.findOne({
+            _id: new ObjectId(id),
+            ...notDeleted,
+          });
+          const result = await requestsCollection.updateOne(
+            { _id: new ObjectId(id), ...notDeleted },
+            { $set: { ...updateData, updatedAt: new Date().toISOString() } }
+          );
+
+          if (before) {
+            await recordAudit(req, {
+              action: "donationRequest.update",
+              targetType: "donationRequest",
+              targetId: id,
+              before,
+              after: { ...before, ...updateData },
+            });
+          }
+          res.send(result);
+        } catch (error) {
+          console.error("Update Error:", error);
+          res.status(500).send({ error: "Failed to update donation request" });
+        }
+      }
+    );
+
+    app.get(
+      "/request-status-count",
+      verifyFirebaseToken,
+      validate({ query: schemas.emailQuery }),
+      verifyEmailQueryMatch,
+      async (req, res) => {
+        const { email } = req.query;
+        try {
+          const result = await requestsCollection
+            .aggregate([
+              {
+                $match: { requesterEmail: email, ...notDeleted },
+              },
+              {
+                $facet: {
+                  statusBreakdown: [
+                    {
+                      $group: {
+                        _id: "$status",
+                        count: { $sum: 1 },
+                      },
+                    },
+                  ],
+                  total: [{ $count: "total" }],
+                },
+              },
+            ])
+            .toArray();
+
+          res.send(result[0]);
+        } catch (error) {
+          console.error("Aggregation error:", error);
+          res.status(500).send({ error: "Failed to aggregate status counts." });
+        }
+      }
+    );
+    // notifications
+    app.get(
+      "/notifications",
+      verifyFirebaseToken,
+      validate({ query: schemas.notificationsQuery }),
+      async (req, res) => {
+        const { unread, page, limit } = req.query;
+        const query = { email: req.decoded.email, channels: "inApp" };
+        if (unread === "true") query.read = false;
+
+        try {
+          const total = await notificationsCollection.countDocuments(query);
+          const notifications = await notificationsCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+          res.send({
+            notifications,
+            total,
+            totalPages: Math.ceil(total / limit),
+          });
+        } catch (error) {
+          console.error("Error fetching notifications:", error);
+          res.status(500).send({ message: "Failed to fetch notifications." });
+        }
+      }
+    );
+
+    app.get(
+      "/notifications/unread-count",
+      verifyFirebaseToken,
+      async (req, res) => {
+        try {
+          const count = await notificationsCollection.countDocuments({
+            email: req.decoded.email,
+            channels: "inApp",
+            read: false,
+          });
+          res.send({ count });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to count notifications." });
+        }
+      }
+    );
+
+    // live notifications over Server-Sent Events
+    app.get(
+      "/notifications/stream",
+      tokenFromQuery,
+      verifyFirebaseToken,
+      (req, res) => {
+        res.set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+        res.flushHeaders();
+        res.write(": connected\n\n");
+
+        const remove = notificationStreams.add(req.decoded.email, res);
+        // keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+        req.on("close", () => {
+          clearInterval(heartbeat);
+          remove();
+        });
+      }
+    );
+
+    app.patch(
+      "/notifications/read-all",
+      verifyFirebaseToken,
+      async (req, res) => {
+        try {
+          const result = await notificationsCollection.updateMany(
+            { email: req.decoded.email, read: false },
+            { $set: { read: true, readAt: new Date().toISOString() } }
+          );
+          res.send({ modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update notifications." });
+        }
+      }
+    );
+
+    app.patch(
+      "/notifications/:id/read",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const result = await notificationsCollection.updateOne(
+            { _id: new ObjectId(req.params.id), email: req.decoded.email },
+            { $set: { read: true, readAt: new Date().toISOString() } }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: "Notification not found." });
+          }
+          res.send({ modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update notification." });
+        }
+      }
+    );
+
+    app.get(
+      "/notifications/preferences",
+      verifyFirebaseToken,
+      async (req, res) => {
+        try {
+          const user = await usersCollection.findOne(
+            { email: req.decoded.email },
+            { projection: { notificationPreferences: 1 } }
+          );
+          if (!user) {
+            return res.status(404).send({ message: "User not found" });
+          }
+          res.send({ ...DEFAULT_PREFERENCES, ...user.notificationPreferences });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch preferences." });
+        }
+      }
+    );
+
+    app.put(
+      "/notifications/preferences",
+      verifyFirebaseToken,
+      validate({ body: schemas.notificationPreferences }),
+      async (req, res) => {
+        const update = Object.fromEntries(
+          Object.entries(req.body).map(([channel, enabled]) => [
+            `notificationPreferences.${channel}`,
+            enabled,
+          ])
+        );
+
+        try {
+          const result = await usersCollection.updateOne(
+            { email: req.decoded.email },
+            { $set: update }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: "User not found" });
+          }
+          res.send({ message: "Notification preferences updated." });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update preferences." });
+        }
+      }
+    );
+
+    // admin dashboard
+    app.get(
+      "/admin/dashboard-stats",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      async (req, res) => {
+        try {
+          const totalUsers = await usersCollection.countDocuments(notDeleted);
+          const totalDonationRequests = await requestsCollection.countDocuments(
+            notDeleted
+          );
+          const funds = await paymentsCollection
+            .aggregate([
+              {
+                $match: { status: { $in: COUNTED_PAYMENT_STATUSES } },
+              },
+              {
+                $group: {
+                  _id: "$currency",
+                  amountMinor: { $sum: NET_AMOUNT_MINOR },
+                },
+              },
+              { $sort: { _id: 1 } },
+            ])
+            .toArray();
+
+          const fundsByCurrency = funds.map(({ _id, amountMinor }) => ({
+            currency: _id,
+            amountMinor,
+            amount: fromMinorUnits(amountMinor, _id),
+          }));
+          // totalFunds is in the base currency, converted with CURRENCY_RATES
+          const converted = convertTotals(fundsByCurrency, exchangeRates());
+
+          res.send({
+            totalUsers,
+            totalDonationRequests,
+            totalFunds: converted.amount,
+            fundsCurrency: converted.currency,
+            fundsByCurrency,
+            unconvertedCurrencies: converted.unconverted,
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to load stats", error });
+        }
+      }
+    );
+
+    // analytics
+    // interval, range and the request filters for the analytics pipelines
+    const analyticsOptions = ({
+      interval,
+      from,
+      to,
+      district,
+      bloodGroup,
+    }) => ({
+      interval,
+      range: analyticsRange({ interval, from, to }),
+      match: {
+        ...notDeleted,
+        ...(district && { district }),
+        ...(bloodGroup && { bloodGroup }),
+      },
+    });
+
+    app.get(
+      "/admin/analytics/users",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ query: schemas.analyticsQuery }),
+      async (req, res) => {
+        try {
+          const series = await usersCollection
+            .aggregate(newUsersPipeline(analyticsOptions(req.query)))
+            .toArray();
+          res.send(series);
+        } catch (error) {
+          console.error("Error building user analytics:", error);
+          res.status(500).send({ message: "Failed to load analytics" });
+        }
+      }
+    );
+
+    // requests created/fulfilled, fulfilment rate and median hours to donor
+    app.get(
+      "/admin/analytics/requests",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ query: schemas.requestAnalyticsQuery }),
+      async (req, res) => {
+        try {
+          const series = await requestsCollection
+            .aggregate(requestsPipeline(analyticsOptions(req.query)))
+            .toArray();
+          res.send(series);
+        } catch (error) {
+          console.error("Error building request analytics:", error);
+          res.status(500).send({ message: "Failed to load analytics" });
+        }
+      }
+    );
+
+    // the same request figures per district and blood group
+    app.get(
+      "/admin/analytics/regions",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ query: schemas.requestAnalyticsQuery }),
+      async (req, res) => {
+        try {
+          const regions = await requestsCollection
+            .aggregate(regionsPipeline(analyticsOptions(req.query)))
+            .toArray();
+          res.send(regions);
+        } catch (error) {
+          console.error("Error building region analytics:", error);
+          res.status(500).send({ message: "Failed to load analytics" });
+        }
+      }
+    );
+
+    // funds raised per period, per currency and converted to the base one
+    app.get(
+      "/admin/analytics/funds",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ query: schemas.analyticsQuery }),
+      async (req, res) => {
+        try {
+          const rows = await paymentsCollection
+            .aggregate(fundsPipeline(analyticsOptions(req.query)))
+            .toArray();
+
+          const rates = exchangeRates();
+          const periods = new Map();
+          rows.forEach((row) => {
+            if (!periods.has(row.period)) periods.set(row.period, []);
+            periods.get(row.period).push({
+              currency: row.currency,
+              amountMinor: row.amountMinor,
+              amount: fromMinorUnits(row.amountMinor, row.currency),
+              payments: row.payments,
+            });
+          });
+
+          res.send(
+            [...periods].map(([period, byCurrency]) => {
+              const converted = convertTotals(byCurrency, rates);
+              return {
+                period,
+                total: converted.amount,
+                currency: converted.currency,
+                unconvertedCurrencies: converted.unconverted,
+                byCurrency,
+              };
+            })
+          );
+        } catch (error) {
+          console.error("Error building funds analytics:", error);
+          res.status(500).send({ message: "Failed to load analytics" });
+        }
+      }
+    );
+
+    // filters shared by the admin listings and their exports
+    const statusFilter = ({ status = "all" }) => ({
+      ...notDeleted,
+      ...(status !== "all" && { status }),
+    });
+
+    // stream an export of `collection`; query holds format, columns, the date
+    // range and the listing filters already applied to `filter`
+    const exportCollection = async (req, res, collection, dataset, filter) => {
+      const { format, columns, from, to } = req.query;
+      const { dateField } = EXPORTS[dataset];
+      const { range, error } = exportRange({ from, to });
+      if (error) return res.status(400).send({ message: error });
+
+      await recordAudit(req, {
+        action: `${dataset}.export`,
+        targetType: "export",
+        targetId: dataset,
+        after: req.query,
+      });
+
+      const cursor = collection
+        .find({ ...filter, [dateField]: range })
+        .sort({ [dateField]: -1, _id: -1 });
+      try {
+        await streamExport(res, { dataset, format, columns, cursor });
+      } catch (err) {
+        console.error(`Error exporting ${dataset}:`, err);
+        // once streaming started the only way to signal failure is to cut it
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).send({ message: "Export failed" });
+      }
+    };
+
+    app.get(
+      "/admin/users/export",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ query: schemas.usersExportQuery }),
+      (req, res) =>
+        exportCollection(
+          req,
+          res,
+          usersCollection,
+          "users",
+          statusFilter(req.query)
+        )
+    );
+
+    app.get(
+      "/admin/users",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ query: schemas.usersListQuery }),
+      async (req, res) => {
+        try {
+          const { page = 1, limit = 10 } = req.query;
+          const filter = statusFilter(req.query);
+
+          const users = await usersCollection
+            .find(filter)
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit))
+            .toArray();
+
+          const total = await usersCollection.countDocuments(filter);
+          const today = localDate();
+
+          res.send({
+            users: users.map((user) => ({
+              ...user,
+              ...availabilityOf(user, today),
+            })),
+            totalPages: Math.ceil(total / limit),
+            total,
+          });
+        } catch (error) {
+          res.status(500).send({ error: "Failed to fetch users." });
+        }
+      }
+    );
+
+    // admin
+    app.get(
+      "/admin/donation-requests/export",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ query: schemas.donationRequestsExportQuery }),
+      (req, res) =>
+        exportCollection(
+          req,
+          res,
+          requestsCollection,
+          "donationRequests",
+          statusFilter(req.query)
+        )
+    );
+
+    app.get(
+      "/admin/donation-requests",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ query: schemas.adminDonationRequestsQuery }),
+      async (req, res) => {
+        try {
+          const { page = 1, limit = 10 } = req.query;
+          const filter = statusFilter(req.query);
+
+          const requests = await requestsCollection
+            .find(filter)
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit))
+            .toArray();
+
+          const total = await requestsCollection.countDocuments(filter);
+
+          res.send({
+            requests,
+            totalPages: Math.ceil(total / limit),
+          });
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ error: "Failed to fetch donation requests." });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/users/:id",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams, body: schemas.adminUpdateUser }),
+      authorize(policies.manageUser),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const updates = req.body;
+
+          if (!updates || (!updates.role && !updates.status)) {
+            return res
+              .status(400)
+              .send({ error: "No valid fields to update." });
+          }
+
+          const filter = { _id: new ObjectId(id), ...notDeleted };
+          const updateDoc = { $set: {} };
+
+          if (updates.role) {
+            updateDoc.$set.role = updates.role;
+            // a new role ends any organisation membership, so removing them
+            // from the organisation later cannot hand the old role back
+            updateDoc.$unset = { organisationId: "", previousRole: "" };
+          }
+          if (updates.status) {
+            updateDoc.$set.status = updates.status;
+          }
+
+          const before = await usersCollection.findOneAndUpdate(
+            filter,
+            updateDoc
+          );
+
+          if (!before) {
+            return res.status(404).send({ error: "User not found." });
+          }
+
+          const after = {
+            ...before,
+            ...updateDoc.$set,
+            ...(updateDoc.$unset && {
+              organisationId: null,
+              previousRole: null,
+            }),
+          };
+          const changed = Object.keys(after).some(
+            (field) => (before[field] ?? null) !== (after[field] ?? null)
+          );
+          await recordAudit(req, {
+            action: "user.update",
+            targetType: "user",
+            targetId: id,
+            before,
+            after,
+          });
+
+          res.send({
+            message: "User updated successfully.",
+            modifiedCount: changed ? 1 : 0,
+          });
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ error: "Failed to update user." });
+        }
+      }
+    );
+
+    // delete request
+    app.delete(
+      "/donation-requests/:id",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      authorize(policies.deleteDonationRequest),
+      async (req, res) => {
+        const id = req.params.id;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ message: "Invalid ID format" });
+        }
+
+        try {
+          const deleted = await softDelete(requestsCollection, id, req);
+
+          if (!deleted) {
+            return res
+              .status(404)
+              .json({ message: "Donation request not found" });
+          }
+
+          await recordAudit(req, {
+            action: "donationRequest.delete",
+            targetType: "donationRequest",
+            targetId: id,
+            before: deleted,
+          });
+
+          res
+            .status(200)
+            .json({ message: "Donation request deleted successfully" });
+        } catch (error) {
+          console.error("Error deleting donation request:", error);
+          res.status(500).json({ message: "Internal server error" });
+        }
+      }
+    );
+
+    // delete user (moves to trash)
+    app.delete(
+      "/admin/users/:id",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          if (req.user._id.equals(new ObjectId(id))) {
+            return res
+              .status(400)
+              .send({ error: "You cannot delete your own account." });
+          }
+
+          const deleted = await softDelete(usersCollection, id, req);
+          if (!deleted) {
+            return res.status(404).send({ error: "User not found." });
+          }
+
+          await recordAudit(req, {
+            action: "user.delete",
+            targetType: "user",
+            targetId: id,
+            before: deleted,
+          });
+          res.send({ message: "User moved to trash." });
+        } catch (error) {
+          console.error("Error deleting user:", error);
+          res.status(500).send({ error: "Failed to delete user." });
+        }
+      }
+    );
+
+    // trash
+    app.get(
+      "/admin/trash",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ query: schemas.trashQuery }),
+      async (req, res) => {
+        const { type, page, limit } = req.query;
+        const collection = trashCollections[type];
+        const query = { deletedAt: { $ne: null } };
+
+        try {
+          const total = await collection.countDocuments(query);
+          const items = await collection
+            .find(query)
+            .sort({ deletedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+          res.send({ items, total, totalPages: Math.ceil(total / limit) });
+        } catch (error) {
+          console.error("Error fetching trash:", error);
+          res.status(500).send({ error: "Failed to fetch trash." });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/trash/:type/:id/restore",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.trashItemParams }),
+      async (req, res) => {
+        const { type, id } = req.params;
+
+        try {
+          const restored = await trashCollections[type].findOneAndUpdate(
+            { _id: new ObjectId(id), deletedAt: { $ne: null } },
+            { $unset: { deletedAt: "", deletedBy: "" } }
+          );
+          if (!restored) {
+            return res.status(404).send({ error: "Item not found in trash." });
+          }
+
+          await recordAudit(req, {
+            action: "trash.restore",
+            targetType: TRASH_TARGET_TYPES[type],
+            targetId: id,
+            before: restored,
+            after: { ...restored, deletedAt: null, deletedBy: null },
+          });
+          res.send({ message: "Item restored." });
+        } catch (error) {
+          console.error("Error restoring item:", error);
+          res.status(500).send({ error: "Failed to restore item." });
+        }
+      }
+    );
+
+    // audit log
+    app.get(
+      "/admin/audit-log",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ query: schemas.auditLogQuery }),
+      async (req, res) => {
+        const { actor, action, targetType, targetId, from, to, page, limit } =
+          req.query;
+
+        const query = {};
+        if (actor) query.actorEmail = actor;
+        if (action) query.action = action;
+        if (targetType) query.targetType = targetType;
+        if (targetId) query.targetId = targetId;
+        if (from || to) {
+          query.createdAt = {};
+          if (from) query.createdAt.$gte = from;
+          if (to) query.createdAt.$lte = to;
+        }
+
         try {
-          const { page = 1, limit = 10, status = "all" } = req.query;
-          const filter = status !== "all" ? { status } : {};
+          const total = await auditLogCollection.countDocuments(query);
+          const entries = await auditLogCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
 
-          const requests = await requestsCollection
+          res.send({ entries, total, totalPages: Math.ceil(total / limit) });
+        } catch (error) {
+          console.error("Error fetching audit log:", error);
+          res.status(500).send({ error: "Failed to fetch audit log." });
+        }
+      }
+    );
+
+    // blogs
+    // first free slug for `base`, adding -2, -3... on collisions
+    const uniqueSlug = async (base, excludeId) => {
+      let slug = base;
+      for (let n = 2; ; n++) {
+        const query = { slug };
+        if (excludeId) query._id = { $ne: excludeId };
+        const taken = await blogsCollection.findOne(query, {
+          projection: { _id: 1 },
+        });
+        if (!taken) return slug;
+        slug = `${base}-${n}`;
+      }
+    };
+
+    const saveRevision = (blog, req, extra = {}) =>
+      blogRevisionsCollection.insertOne({
+        blogId: blog._id,
+        revision: blog.revision || 1,
+        ...Object.fromEntries(
+          REVISION_FIELDS.map((field) => [field, blog[field]])
+        ),
+        editedBy: req.decoded.email,
+        createdAt: new Date().toISOString(),
+        ...extra,
+      });
+
+    // next free revision number. pending revisions take numbers too, so it
+    // can be ahead of blog.revision.
+    const nextRevision = async (blog) => {
+      const [last] = await blogRevisionsCollection
+        .find({ blogId: blog._id }, { projection: { revision: 1 } })
+        .sort({ revision: -1 })
+        .limit(1)
+        .toArray();
+      return Math.max(last?.revision || 0, blog.revision || 1) + 1;
+    };
+
+    // point the blog at its newest revision still waiting for review
+    const refreshPendingRevision = async (blogId) => {
+      const [pending] = await blogRevisionsCollection
+        .find({ blogId, pending: true }, { projection: { revision: 1 } })
+        .sort({ revision: -1 })
+        .limit(1)
+        .toArray();
+      await blogsCollection.updateOne(
+        { _id: blogId },
+        pending
+          ? { $set: { pendingRevision: pending.revision } }
+          : { $unset: { pendingRevision: "" } }
+      );
+    };
+
+    // save an edit to a live post as a pending revision for an admin to
+    // approve; the post itself stays as it is
+    const proposeRevision = async (blog, fields, req, extra = {}) => {
+      if (!blog.revision) await saveRevision(blog, req);
+      const revision = await nextRevision(blog);
+      await saveRevision({ ...blog, ...fields, revision }, req, {
+        pending: true,
+        ...extra,
+      });
+      await refreshPendingRevision(blog._id);
+      await recordAudit(req, {
+        action: "blog.propose",
+        targetType: "blog",
+        targetId: blog._id,
+        before: blog,
+        after: { ...blog, ...fields },
+      });
+      return revision;
+    };
+
+    // publish scheduled blogs whose publishAt has passed
+    scheduleJob("publish-scheduled-blogs", 60 * 1000, async () => {
+      await blogsCollection.updateMany(
+        {
+          status: "scheduled",
+          publishAt: { $lte: new Date().toISOString() },
+          ...notDeleted,
+        },
+        [{ $set: { status: "published", publishedAt: "$publishAt" } }]
+      );
+    });
+
+    // add blog
+    app.post(
+      "/blogs",
+      verifyFirebaseToken,
+      validate({ body: schemas.createBlog }),
+      authorize(policies.createBlog),
+      async (req, res) => {
+        const blog = req.body;
+
+        blog.createdAt = new Date().toISOString();
+        blog.status = "draft";
+        blog.authorEmail = req.decoded.email;
+        blog.revision = 1;
+
+        try {
+          blog.slug = await uniqueSlug(slugify(blog.title));
+          const result = await blogsCollection.insertOne(blog);
+          await saveRevision({ ...blog, _id: result.insertedId }, req);
+          await recordAudit(req, {
+            action: "blog.create",
+            targetType: "blog",
+            targetId: result.insertedId,
+            after: blog,
+          });
+          res.status(201).send({
+            insertedId: result.insertedId,
+            acknowledged: result.acknowledged,
+            message: "Blog has been added successfully.",
+          });
+        } catch (err) {
+          console.error("Blog insertion error:", err);
+          res.status(500).send({ message: "Failed to add the blog." });
+        }
+      }
+    );
+
+    // get blog
+    app.get(
+      "/blogs",
+      validate({ query: schemas.blogsQuery }),
+      async (req, res) => {
+        try {
+          const { role, status } = req.query;
+
+          let filter = { ...notDeleted };
+
+          if (role === "admin" || role === "volunteer") {
+            if (status) {
+              filter.status = status;
+            }
+          } else {
+            filter.status = "published";
+          }
+
+          const blogs = await blogsCollection
             .find(filter)
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit))
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(blogs);
+        } catch (error) {
+          res.status(500).send({ error: "Failed to fetch blogs." });
+        }
+      }
+    );
+    // update status
+    app.patch(
+      "/blogs/:id",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams, body: schemas.updateBlog }),
+      authorize(policies.editBlog),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { status, publishAt, slug, ...content } = req.body;
+
+          const blog = await blogsCollection.findOne({
+            _id: new ObjectId(id),
+            ...notDeleted,
+          });
+          if (!blog) {
+            return res.status(404).send({ message: "Blog not found" });
+          }
+
+          const now = new Date().toISOString();
+          const updatedFields = {};
+          const statusChanged = Boolean(status) && status !== blog.status;
+          const nextStatus = statusChanged ? status : blog.status;
+
+          if (statusChanged) {
+            if (!canTransitionBlog(blog.status, status, req.user.role)) {
+              return res.status(403).send({
+                message: `You cannot move this blog from ${blog.status} to ${status}.`,
+              });
+            }
+            updatedFields.status = status;
+            if (status === "published") updatedFields.publishedAt = now;
+          }
+
+          if (nextStatus === "scheduled" && (statusChanged || publishAt)) {
+            if (!publishAt || publishAt <= now) {
+              return res.status(400).send({
+                message: "Scheduled blogs need a publishAt in the future.",
+              });
+            }
+            updatedFields.publishAt = publishAt;
+          } else if (publishAt) {
+            return res.status(400).send({
+              message: "publishAt only applies to scheduled blogs.",
+            });
+          }
+
+          // edits to title/thumbnail/content become a new revision
+          const contentChanged = REVISION_FIELDS.some(
+            (field) =>
+              content[field] !== undefined && content[field] !== blog[field]
+          );
+          if (contentChanged && needsReview(blog, req.user.role)) {
+            // the edit waits for review, so it cannot carry a status change
+            if (Object.keys(updatedFields).length > 0) {
+              return res.status(400).send({
+                message:
+                  "Edits to a live blog go to review; change its status in a separate request.",
+              });
+            }
+            const revision = await proposeRevision(blog, content, req);
+            return res
+              .status(202)
+              .send({ message: "Changes saved for review.", revision });
+          }
+          if (contentChanged) {
+            Object.assign(updatedFields, content);
+            updatedFields.updatedAt = now;
+            updatedFields.revision = await nextRevision(blog);
+          }
+
+          // slugs follow the title until the first publish, then stay put
+          // unless an admin sets one explicitly
+          if (slug && slug !== blog.slug) {
+            updatedFields.slug = await uniqueSlug(slug, blog._id);
+          } else if (
+            !blog.slug ||
+            (content.title && content.title !== blog.title && !blog.publishedAt)
+          ) {
+            updatedFields.slug = await uniqueSlug(
+              slugify(content.title || blog.title),
+              blog._id
+            );
+          }
+
+          if (Object.keys(updatedFields).length === 0) {
+            return res.send({ modifiedCount: 0 });
+          }
+
+          const result = await blogsCollection.updateOne(
+            { _id: blog._id, ...notDeleted },
+            { $set: updatedFields }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: "Blog not found" });
+          }
+
+          if (contentChanged) {
+            // posts from before revisions existed get their original saved
+            if (!blog.revision) await saveRevision(blog, req);
+            await saveRevision({ ...blog, ...updatedFields }, req);
+          }
+
+          await recordAudit(req, {
+            action: statusChanged ? "blog.status" : "blog.update",
+            targetType: "blog",
+            targetId: id,
+            before: blog,
+            after: { ...blog, ...updatedFields },
+          });
+          res.send({ modifiedCount: result.modifiedCount });
+        } catch (error) {
+          console.error("Error updating blog:", error);
+          res.status(500).send({ message: "Failed to update blog" });
+        }
+      }
+    );
+
+    // delete blog
+    app.delete(
+      "/blogs/:id",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      authorize(policies.deleteBlog),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const deleted = await softDelete(blogsCollection, id, req);
+
+          if (deleted) {
+            await recordAudit(req, {
+              action: "blog.delete",
+              targetType: "blog",
+              targetId: id,
+              before: deleted,
+            });
+          }
+          res.send({ acknowledged: true, deletedCount: deleted ? 1 : 0 });
+        } catch (error) {
+          res.status(500).send({ error: "Failed to delete blog." });
+        }
+      }
+    );
+
+    // blog state
+    app.get(
+      "/blogs/stats",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      async (req, res) => {
+        try {
+          const result = await blogsCollection
+            .aggregate([
+              { $match: notDeleted },
+              {
+                $facet: {
+                  statusBreakdown: [
+                    { $group: { _id: "$status", count: { $sum: 1 } } },
+                  ],
+                  total: [{ $count: "total" }],
+                },
+              },
+              {
+                $project: {
+                  statusBreakdown: 1,
+                  total: { $arrayElemAt: ["$total.total", 0] },
+                },
+              },
+            ])
+            .toArray();
+
+          res.send(result[0]);
+        } catch (error) {
+          console.error("Error fetching blog stats:", error);
+          res.status(500).send({ error: "Failed to fetch blog stats." });
+        }
+      }
+    );
+
+    // get published blog by slug (or id, for older links)
+    app.get(
+      "/blogs/:slug",
+      validate({ params: schemas.blogSlugParams }),
+      async (req, res) => {
+        const { slug } = req.params;
+        const query = { status: "published", ...notDeleted, $or: [{ slug }] };
+        if (ObjectId.isValid(slug)) {
+          query.$or.push({ _id: new ObjectId(slug) });
+        }
+
+        try {
+          const blog = await blogsCollection.findOne(query);
+          if (!blog) {
+            return res.status(404).send({ error: "Blog not found." });
+          }
+          res.send(blog);
+        } catch (error) {
+          res.status(500).send({ error: "Failed to fetch blog." });
+        }
+      }
+    );
+
+    // get any blog, whatever its status, for editors
+    app.get(
+      "/blogs/:id/preview",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        const id = req.params.id;
+        try {
+          const blog = await blogsCollection.findOne({
+            _id: new ObjectId(id),
+            ...notDeleted,
+          });
+          if (!blog) {
+            return res.status(404).send({ error: "Blog not found." });
+          }
+          res.send(blog);
+        } catch (error) {
+          res.status(500).send({ error: "Failed to fetch blog." });
+        }
+      }
+    );
+
+    // blog revisions
+    app.get(
+      "/blogs/:id/revisions",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const revisions = await blogRevisionsCollection
+            .find(
+              { blogId: new ObjectId(req.params.id) },
+              { projection: { content: 0 } }
+            )
+            .sort({ revision: -1 })
+            .toArray();
+          res.send(revisions);
+        } catch (error) {
+          res.status(500).send({ error: "Failed to fetch revisions." });
+        }
+      }
+    );
+
+    app.get(
+      "/blogs/:id/revisions/:revision",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ params: schemas.blogRevisionParams }),
+      async (req, res) => {
+        const { id, revision } = req.params;
+        try {
+          const found = await blogRevisionsCollection.findOne({
+            blogId: new ObjectId(id),
+            revision,
+          });
+          if (!found) {
+            return res.status(404).send({ error: "Revision not found." });
+          }
+          res.send(found);
+        } catch (error) {
+          res.status(500).send({ error: "Failed to fetch revision." });
+        }
+      }
+    );
+
+    // diff a revision against another one, or the current blog by default
+    app.get(
+      "/blogs/:id/revisions/:revision/diff",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({
+        params: schemas.blogRevisionParams,
+        query: schemas.blogRevisionDiffQuery,
+      }),
+      async (req, res) => {
+        const { id, revision } = req.params;
+        const { against } = req.query;
+        const blogId = new ObjectId(id);
+
+        try {
+          const from = await blogRevisionsCollection.findOne({
+            blogId,
+            revision,
+          });
+          const to = against
+            ? await blogRevisionsCollection.findOne({
+                blogId,
+                revision: against,
+              })
+            : await blogsCollection.findOne({ _id: blogId, ...notDeleted });
+          if (!from || !to) {
+            return res.status(404).send({ error: "Revision not found." });
+          }
+
+          res.send({
+            from: revision,
+            to: against || "current",
+            changes: diffRevisions(from, to),
+          });
+        } catch (error) {
+          console.error("Error diffing revisions:", error);
+          res.status(500).send({ error: "Failed to diff revisions." });
+        }
+      }
+    );
+
+    // restore an older revision; the restore is saved as a new revision
+    app.post(
+      "/blogs/:id/revisions/:revision/rollback",
+      verifyFirebaseToken,
+      verifyAdminVolunteer,
+      validate({ params: schemas.blogRevisionParams }),
+      async (req, res) => {
+        const { id, revision } = req.params;
+        const blogId = new ObjectId(id);
+
+        try {
+          const blog = await blogsCollection.findOne({
+            _id: blogId,
+            ...notDeleted,
+          });
+          const target = await blogRevisionsCollection.findOne({
+            blogId,
+            revision,
+          });
+          if (!blog || !target) {
+            return res.status(404).send({ error: "Revision not found." });
+          }
+
+          const fields = {
+            ...Object.fromEntries(
+              REVISION_FIELDS.map((field) => [field, target[field]])
+            ),
+            // revisions saved before sanitizing existed may hold raw html
+            content: sanitizeBlogHtml(target.content || ""),
+          };
+          if (needsReview(blog, req.user.role)) {
+            const pending = await proposeRevision(blog, fields, req, {
+              rolledBackFrom: revision,
+            });
+            return res.status(202).send({
+              message: `Restoring revision ${revision} is saved for review.`,
+              revision: pending,
+            });
+          }
+
+          const restored = {
+            ...fields,
+            revision: await nextRevision(blog),
+            updatedAt: new Date().toISOString(),
+          };
+
+          await blogsCollection.updateOne({ _id: blogId }, { $set: restored });
+          if (!blog.revision) await saveRevision(blog, req);
+          await saveRevision({ ...blog, ...restored }, req, {
+            rolledBackFrom: revision,
+          });
+          await recordAudit(req, {
+            action: "blog.rollback",
+            targetType: "blog",
+            targetId: id,
+            before: blog,
+            after: { ...blog, ...restored },
+          });
+
+          res.send({
+            message: `Blog restored to revision ${revision}.`,
+            revision: restored.revision,
+          });
+        } catch (error) {
+          console.error("Error rolling back blog:", error);
+          res.status(500).send({ error: "Failed to roll back blog." });
+        }
+      }
+    );
+
+    // put a pending revision live, or turn it down
+    const reviewRevision = (approve) => async (req, res) => {
+      const { id, revision } = req.params;
+      const blogId = new ObjectId(id);
+
+      try {
+        const blog = await blogsCollection.findOne({
+          _id: blogId,
+          ...notDeleted,
+        });
+        const target = await blogRevisionsCollection.findOne({
+          blogId,
+          revision,
+          pending: true,
+        });
+        if (!blog || !target) {
+          return res
+            .status(404)
+            .send({ error: "No pending revision to review." });
+        }
+
+        const now = new Date().toISOString();
+        await blogRevisionsCollection.updateOne(
+          { _id: target._id },
+          {
+            $set: approve
+              ? {
+                  pending: false,
+                  approvedBy: req.decoded.email,
+                  approvedAt: now,
+                }
+              : {
+                  pending: false,
+                  rejectedBy: req.decoded.email,
+                  rejectedAt: now,
+                },
+          }
+        );
+
+        const applied = approve && {
+          ...Object.fromEntries(
+            REVISION_FIELDS.map((field) => [field, target[field]])
+          ),
+          revision,
+          updatedAt: now,
+        };
+        if (applied) {
+          await blogsCollection.updateOne({ _id: blogId }, { $set: applied });
+        }
+        await refreshPendingRevision(blogId);
+        await recordAudit(req, {
+          action: approve ? "blog.approve" : "blog.reject",
+          targetType: "blog",
+          targetId: id,
+          before: blog,
+          after: applied ? { ...blog, ...applied } : blog,
+        });
+
+        res.send({
+          message: approve
+            ? `Revision ${revision} is now live.`
+            : `Revision ${revision} was rejected.`,
+        });
+      } catch (error) {
+        console.error("Error reviewing revision:", error);
+        res.status(500).send({ error: "Failed to review revision." });
+      }
+    };
+
+    app.post(
+      "/blogs/:id/revisions/:revision/approve",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.blogRevisionParams }),
+      reviewRevision(true)
+    );
+
+    app.post(
+      "/blogs/:id/revisions/:revision/reject",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.blogRevisionParams }),
+      reviewRevision(false)
+    );
+
+    // campaigns
+    // campaigns with their raised totals, donor counts and progress
+    const campaignsWithProgress = async (campaigns) => {
+      const totals = await paymentsCollection
+        .aggregate(campaignTotalsPipeline(campaigns.map(({ _id }) => _id)))
+        .toArray();
+      const byId = new Map(totals.map((total) => [String(total._id), total]));
+      const today = localDate();
+
+      return campaigns.map((campaign) =>
+        withProgress(campaign, byId.get(String(campaign._id)), today)
+      );
+    };
+
+    // create campaign
+    app.post(
+      "/admin/campaigns",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ body: schemas.createCampaign }),
+      async (req, res) => {
+        const campaign = {
+          ...req.body,
+          createdBy: req.decoded.email,
+          createdAt: new Date().toISOString(),
+        };
+
+        try {
+          const result = await campaignsCollection.insertOne(campaign);
+          await recordAudit(req, {
+            action: "campaign.create",
+            targetType: "campaign",
+            targetId: result.insertedId,
+            after: campaign,
+          });
+          res.status(201).send(result);
+        } catch (error) {
+          console.error("Error creating campaign:", error);
+          res.status(500).send({ message: "Failed to create campaign" });
+        }
+      }
+    );
+
+    // all campaigns, drafts included
+    app.get(
+      "/admin/campaigns",
+      verifyFirebaseToken,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const campaigns = await campaignsCollection
+            .find()
+            .sort({ createdAt: -1 })
             .toArray();
-
-          const total = await requestsCollection.countDocuments();
-
-          res.send({
-            requests,
-            totalPages: Math.ceil(total / limit),
-          });
+          res.send(await campaignsWithProgress(campaigns));
         } catch (error) {
-          console.error(error);
-          res.status(500).send({ error: "Failed to fetch donation requests." });
+          res.status(500).send({ message: "Failed to fetch campaigns" });
         }
       }
     );
 
-    app.patch("/admin/users/:id", async (req, res) => {
-      try {
+    // update campaign
+    app.patch(
+      "/admin/campaigns/:id",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ params: schemas.idParams, body: schemas.updateCampaign }),
+      async (req, res) => {
         const { id } = req.params;
         const updates = req.body;
 
-        if (!updates || (!updates.role && !updates.status)) {
-          return res.status(400).send({ error: "No valid fields to update." });
-        }
+        try {
+          const before = await campaignsCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!before) {
+            return res.status(404).send({ message: "Campaign not found" });
+          }
 
-        const filter = { _id: new ObjectId(id) };
-        const updateDoc = { $set: {} };
+          const after = { ...before, ...updates };
+          if (after.endDate < after.startDate) {
+            return res
+              .status(400)
+              .send({ message: "endDate cannot be before startDate." });
+          }
+          // donations already taken are in the campaign's currency
+          if (updates.currency && updates.currency !== before.currency) {
+            const paid = await paymentsCollection.countDocuments({
+              campaignId: before._id,
+            });
+            if (paid > 0) {
+              return res.status(409).send({
+                message: "The currency cannot change once donations exist.",
+              });
+            }
+          }
 
-        if (updates.role) {
-          updateDoc.$set.role = updates.role;
-        }
-        if (updates.status) {
-          updateDoc.$set.status = updates.status;
+          updates.updatedAt = new Date().toISOString();
+          await campaignsCollection.updateOne(
+            { _id: before._id },
+            { $set: updates }
+          );
+          await recordAudit(req, {
+            action: "campaign.update",
+            targetType: "campaign",
+            targetId: id,
+            before,
+            after: { ...after, updatedAt: updates.updatedAt },
+          });
+          res.send({ message: "Campaign updated" });
+        } catch (error) {
+          console.error("Error updating campaign:", error);
+          res.status(500).send({ message: "Failed to update campaign" });
         }
+      }
+    );
 
-        const result = await usersCollection.updateOne(filter, updateDoc);
+    // public campaign list (drafts stay hidden)
+    app.get(
+      "/campaigns",
+      validate({ query: schemas.campaignsQuery }),
+      async (req, res) => {
+        const { status } = req.query;
+        const filter = status
+          ? { status }
+          : { status: { $in: ["active", "closed"] } };
 
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ error: "User not found." });
+        try {
+          const campaigns = await campaignsCollection
+            .find(filter)
+            .sort({ status: 1, endDate: 1 })
+            .toArray();
+          res.send(await campaignsWithProgress(campaigns));
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch campaigns" });
         }
+      }
+    );
 
-        res.send({
-          message: "User updated successfully.",
-          modifiedCount: result.modifiedCount,
-        });
-      } catch (error) {
-        console.error(error);
-        res.status(500).send({ error: "Failed to update user." });
+    app.get(
+      "/campaigns/:id",
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const campaign = await campaignsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+            status: { $ne: "draft" },
+          });
+          if (!campaign) {
+            return res.status(404).send({ message: "Campaign not found" });
+          }
+          const [withTotals] = await campaignsWithProgress([campaign]);
+          res.send(withTotals);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch campaign" });
+        }
       }
-    });
+    );
 
-    // delete request
-    app.delete("/donation-requests/:id", async (req, res) => {
-      const id = req.params.id;
+    // top donors of a campaign; anonymous gifts show up without a name
+    app.get(
+      "/campaigns/:id/leaderboard",
+      validate({
+        params: schemas.idParams,
+        query: schemas.campaignLeaderboardQuery,
+      }),
+      async (req, res) => {
+        try {
+          const campaign = await campaignsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+            status: { $ne: "draft" },
+          });
+          if (!campaign) {
+            return res.status(404).send({ message: "Campaign not found" });
+          }
 
-      if (!ObjectId.isValid(id)) {
-        return res.status(400).json({ message: "Invalid ID format" });
+          const donors = await paymentsCollection
+            .aggregate(leaderboardPipeline(campaign._id, req.query.limit))
+            .toArray();
+          res.send(
+            donors.map((donor, i) => ({
+              rank: i + 1,
+              ...donor,
+              total: fromMinorUnits(donor.totalMinor, campaign.currency),
+            }))
+          );
+        } catch (error) {
+          console.error("Error fetching leaderboard:", error);
+          res.status(500).send({ message: "Failed to fetch leaderboard" });
+        }
       }
+    );
 
+    // the campaign a new donation is for, or null when it cannot take one
+    const campaignForDonation = async (campaignId) => {
+      const campaign = await campaignsCollection.findOne({
+        _id: new ObjectId(campaignId),
+      });
+      return campaign && isAcceptingDonations(campaign, localDate())
+        ? campaign
+        : null;
+    };
+
+    // give a completed payment its receipt number, taken from a sequence
+    // per calendar year. payments that already have one keep it. the number
+    // is drawn and stored in one transaction, so a failure in between rolls
+    // the counter back and receipt numbers stay gapless; racing callers
+    // conflict on the counter and the retry finds the payment numbered.
+    const issueReceipt = async (filter) => {
+      const session = client.startSession();
       try {
-        const result = await requestsCollection.deleteOne({
-          _id: new ObjectId(id),
+        await session.withTransaction(async () => {
+          const payment = await paymentsCollection.findOne(
+            {
+              ...filter,
+              status: { $in: COUNTED_PAYMENT_STATUSES },
+              receiptNumber: { $exists: false },
+            },
+            { session }
+          );
+          if (!payment) return;
+
+          const year = payment.paidAt.slice(0, 4);
+          const { sequence } = await countersCollection.findOneAndUpdate(
+            { _id: `receipt-${year}` },
+            { $inc: { sequence: 1 } },
+            { upsert: true, returnDocument: "after", session }
+          );
+          await paymentsCollection.updateOne(
+            { _id: payment._id },
+            {
+              $set: {
+                receiptNumber: formatReceiptNumber(year, sequence),
+                receiptIssuedAt: new Date().toISOString(),
+              },
+            },
+            { session }
+          );
         });
+      } finally {
+        await session.endSession();
+      }
+    };
 
-        if (result.deletedCount === 0) {
-          return res
-            .status(404)
-            .json({ message: "Donation request not found" });
-        }
+    // upsert a payment record from a stripe payment intent
+    const savePaymentFromIntent = async (intent, status, extra = {}) => {
+      const { email: fallbackEmail, ...fields } = extra;
+      const { campaignId, anonymous, donorName } = intent.metadata || {};
 
-        res
-          .status(200)
-          .json({ message: "Donation request deleted successfully" });
-      } catch (error) {
-        console.error("Error deleting donation request:", error);
-        res.status(500).json({ message: "Internal server error" });
+      const result = await paymentsCollection.updateOne(
+        { paymentIntentId: intent.id },
+        {
+          $set: {
+            email:
+              intent.metadata?.email || intent.receipt_email || fallbackEmail,
+            amountMinor: intent.amount,
+            amount: fromMinorUnits(intent.amount, intent.currency),
+            currency: intent.currency,
+            campaignId: ObjectId.isValid(campaignId)
+              ? new ObjectId(campaignId)
+              : null,
+            anonymous: anonymous === "true",
+            donorName: donorName || null,
+            updatedAt: new Date().toISOString(),
+          },
+          $setOnInsert: {
+            paidAt: new Date(intent.created * 1000).toISOString(),
+            status,
+          },
+        },
+        { upsert: true }
+      );
+      // the refund event may have been handled first, and a late failure
+      // must not undo a completed payment (see paymentStatus.js)
+      await paymentsCollection.updateOne(
+        { paymentIntentId: intent.id, status: statusGuard(status) },
+        { $set: { status, ...fields } }
+      );
+      if (status === "completed") {
+        await issueReceipt({ paymentIntentId: intent.id });
       }
-    });
+      return result;
+    };
 
-    // blogs
-    // add blog
-    app.post("/blogs", async (req, res) => {
-      const blog = req.body;
+    // whether stripe created the intent to collect an invoice
+    const isInvoicePayment = async (paymentIntentId) => {
+      const { data } = await stripe.invoicePayments.list({
+        payment: { type: "payment_intent", payment_intent: paymentIntentId },
+        limit: 1,
+      });
+      return data.length > 0;
+    };
+
+    // record a subscription invoice in the payments collection, keyed by its
+    // payment intent like one-off payments so refunds find it the same way
+    const saveInvoicePayment = async (invoice, status) => {
+      const subscription = invoiceSubscription(invoice);
+      if (!subscription) return;
+
+      const { metadata, subscriptionId } = subscription;
+      const { data } = await stripe.invoicePayments.list({
+        invoice: invoice.id,
+        limit: 1,
+      });
+      const intent = data[0]?.payment?.payment_intent;
+      const paymentIntentId = typeof intent === "string" ? intent : intent?.id;
+      const paidAt = invoice.status_transitions?.paid_at || invoice.created;
+      const amountMinor =
+        status === "completed" ? invoice.amount_paid : invoice.amount_due;
+
+      const filter = paymentIntentId
+        ? { paymentIntentId }
+        : { invoiceId: invoice.id };
+      const outcome = {
+        status,
+        amountMinor,
+        amount: fromMinorUnits(amountMinor, invoice.currency),
+      };
+      await paymentsCollection.updateOne(
+        filter,
+        {
+          $set: {
+            email: metadata.email || invoice.customer_email,
+            currency: invoice.currency,
+            source: "subscription",
+            invoiceId: invoice.id,
+            subscriptionId,
+            campaignId: ObjectId.isValid(metadata.campaignId)
+              ? new ObjectId(metadata.campaignId)
+              : null,
+            anonymous: metadata.anonymous === "true",
+            donorName: metadata.donorName || null,
+            paidAt: new Date(paidAt * 1000).toISOString(),
+            updatedAt: new Date().toISOString(),
+          },
+          $setOnInsert: outcome,
+        },
+        { upsert: true }
+      );
+      // a redelivered or late invoice event must not undo a refund, and a
+      // failure must not undo a completed payment
+      await paymentsCollection.updateOne(
+        { ...filter, status: statusGuard(status) },
+        { $set: outcome }
+      );
+      if (status === "completed") await issueReceipt(filter);
+
+      await recurringDonationsCollection.updateOne(
+        { stripeSubscriptionId: subscriptionId },
+        status === "completed"
+          ? { $set: { lastPaidAt: new Date().toISOString() } }
+          : { $set: { lastFailedAt: new Date().toISOString() } }
+      );
+    };
+
+    const handleStripeEvent = async (event) => {
+      const object = event.data.object;
 
-      blog.createdAt = new Date().toISOString();
-      blog.status = "draft";
+      switch (event.type) {
+        case "payment_intent.succeeded":
+          // subscription payments are recorded from their invoice events
+          if (await isInvoicePayment(object.id)) break;
+          await savePaymentFromIntent(object, "completed");
+          break;
+        case "payment_intent.payment_failed":
+          if (await isInvoicePayment(object.id)) break;
+          await savePaymentFromIntent(object, "failed", {
+            failureMessage: object.last_payment_error?.message || null,
+          });
+          break;
+        case "charge.refunded":
+          // upserted, as the refund can arrive before the payment is saved;
+          // the payment events fill in the rest of the record
+          await paymentsCollection.updateOne(
+            { paymentIntentId: object.payment_intent },
+            {
+              $setOnInsert: {
+                email: object.billing_details?.email || object.receipt_email,
+                amountMinor: object.amount,
+                amount: fromMinorUnits(object.amount, object.currency),
+                currency: object.currency,
+                paidAt: new Date(object.created * 1000).toISOString(),
+              },
+              $set: {
+                status: object.refunded ? "refunded" : "partially_refunded",
+                refundedAmountMinor: object.amount_refunded,
+                refundedAmount: fromMinorUnits(
+                  object.amount_refunded,
+                  object.currency
+                ),
+                refundedAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+              },
+            },
+            { upsert: true }
+          );
+          break;
+        case "invoice.paid":
+          await saveInvoicePayment(object, "completed");
+          break;
+        case "invoice.payment_failed":
+          await saveInvoicePayment(object, "failed");
+          break;
+        case "customer.subscription.updated":
+        case "customer.subscription.deleted":
+          await recurringDonationsCollection.updateOne(
+            { stripeSubscriptionId: object.id },
+            { $set: subscriptionState(object) }
+          );
+          break;
+        default:
+          // other event types are acknowledged but ignored
+          break;
+      }
+    };
 
+    // stripe webhook
+    app.post("/api/stripe-webhook", async (req, res) => {
+      let event;
       try {
-        const result = await blogsCollection.insertOne(blog);
-        res.status(201).send({
-          insertedId: result.insertedId,
-          acknowledged: result.acknowledged,
-          message: "Blog has been added successfully.",
-        });
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          req.headers["stripe-signature"],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
       } catch (err) {
-        console.error("Blog insertion error:", err);
-        res.status(500).send({ message: "Failed to add the blog." });
+        return res
+          .status(400)
+          .send({ message: "Webhook signature verification failed." });
       }
-    });
 
-    // get blog
-    app.get("/blogs", async (req, res) => {
       try {
-        const { role, status } = req.query;
+        const processed = await stripeEventsCollection.findOne({
+          _id: event.id,
+        });
+        if (processed) {
+          return res.send({ received: true, duplicate: true });
+        }
 
-        let filter = {};
+        await handleStripeEvent(event);
 
-        if (role === "admin" || role === "volunteer") {
-          if (status) {
-            filter.status = status;
-          }
-        } else {
-          filter.status = "published";
+        await stripeEventsCollection.insertOne({
+          _id: event.id,
+          type: event.type,
+          processedAt: new Date().toISOString(),
+        });
+        res.send({ received: true });
+      } catch (err) {
+        // a concurrent delivery of the same event already recorded it
+        if (err.code === 11000) {
+          return res.send({ received: true, duplicate: true });
         }
-
-        const blogs = await blogsCollection
-          .find(filter)
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.send(blogs);
-      } catch (error) {
-        res.status(500).send({ error: "Failed to fetch blogs." });
+        console.error("Stripe webhook error:", err);
+        // non-2xx makes stripe retry the delivery later
+        res.status(500).send({ message: "Failed to process webhook event" });
       }
     });
-    // update status
-    app.patch("/blogs/:id", async (req, res) => {
-      try {
-        const { id } = req.params;
-        const updatedFields = req.body;
 
-        const blog = await blogsCollection.findOne({ _id: new ObjectId(id) });
-        if (!blog) {
-          return res.status(404).send({ message: "Blog not found" });
-        }
+    // Create a payment intent endpoint
+    app.post(
+      "/api/create-payment-intent",
+      validate({ body: schemas.createPaymentIntent }),
+      async (req, res) => {
+        try {
+          const { amount, email, campaignId } = req.body;
+          let { currency } = req.body;
 
-        const statusInUpdate = Object.prototype.hasOwnProperty.call(
-          updatedFields,
-          "status"
-        );
-        const statusChanged =
-          statusInUpdate && updatedFields.status !== blog.status;
+          if (campaignId) {
+            const campaign = await campaignForDonation(campaignId);
+            if (!campaign) {
+              return res.status(400).json({
+                error: "This campaign is not accepting donations.",
+              });
+            }
+            // campaign donations are charged in the campaign's currency
+            currency = campaign.currency;
+          }
 
-        if (!statusChanged) {
-          updatedFields.updatedAt = new Date().toISOString();
-        }
+          const amountError = checkAmount(amount, currency);
+          if (amountError) {
+            return res.status(400).json({ error: amountError });
+          }
 
-        const result = await blogsCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updatedFields }
-        );
+          const paymentIntent = await stripe.paymentIntents.create({
+            amount: toMinorUnits(amount, currency),
+            currency,
+            metadata: donationMetadata(req.body),
+            ...(email && { receipt_email: email }),
+          });
 
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ message: "Blog not found" });
+          res.json({ clientSecret: paymentIntent.client_secret });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
         }
+      }
+    );
+    // save payment, verified against stripe (the webhook records it as well)
+    app.post(
+      "/api/save-payment",
+      validate({ body: schemas.savePayment }),
+      async (req, res) => {
+        try {
+          const { paymentIntentId, email } = req.body;
 
-        res.send({ modifiedCount: result.modifiedCount });
-      } catch (error) {
-        console.error("Error updating blog:", error);
-        res.status(500).send({ message: "Failed to update blog" });
+          let intent;
+          try {
+            intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+          } catch (err) {
+            return res.status(400).json({ message: "Unknown payment intent" });
+          }
+
+          if (intent.status !== "succeeded") {
+            return res
+              .status(400)
+              .json({ message: "Payment has not been completed" });
+          }
+
+          const result = await savePaymentFromIntent(intent, "completed", {
+            email,
+          });
+          res.send({
+            success: true,
+            insertedId: result.upsertedId,
+            amount: fromMinorUnits(intent.amount, intent.currency),
+            currency: intent.currency,
+          });
+        } catch (error) {
+          console.error("Save payment error:", error);
+          res.status(500).send({ message: "Failed to save payment" });
+        }
       }
-    });
+    );
+    // recurring donations
+    // the caller's stripe customer, created on first use
+    const stripeCustomerFor = async (email) => {
+      const user = await usersCollection.findOne({ email, ...notDeleted });
+      if (user?.stripeCustomerId) return user.stripeCustomerId;
 
-    // delete blog
-    app.delete("/blogs/:id", async (req, res) => {
-      try {
-        const { id } = req.params;
-        const result = await blogsCollection.deleteOne({
-          _id: new ObjectId(id),
+      const customer = await stripe.customers.create({
+        email,
+        name: user?.name,
+      });
+      await usersCollection.updateOne(
+        { email },
+        { $set: { stripeCustomerId: customer.id } }
+      );
+      return customer.id;
+    };
+
+    // id of the shared recurring donation product, created the first time it
+    // is missing
+    let recurringProduct = null;
+    const recurringProductId = () => {
+      recurringProduct ??= stripe.products
+        .retrieve(RECURRING_PRODUCT.id)
+        .catch((err) => {
+          if (err.code !== "resource_missing") throw err;
+          return stripe.products.create(RECURRING_PRODUCT);
+        })
+        .then((product) => product.id)
+        .catch((err) => {
+          // try again on the next call
+          recurringProduct = null;
+          throw err;
         });
-        res.send(result);
-      } catch (error) {
-        res.status(500).send({ error: "Failed to delete blog." });
-      }
-    });
+      return recurringProduct;
+    };
 
-    // blog state
-    app.get("/blogs/stats", verifyFirebaseToken, async (req, res) => {
-      try {
-        const result = await blogsCollection
-          .aggregate([
-            {
-              $facet: {
-                statusBreakdown: [
-                  { $group: { _id: "$status", count: { $sum: 1 } } },
-                ],
-                total: [{ $count: "total" }],
-              },
-            },
-            {
-              $project: {
-                statusBreakdown: 1,
-                total: { $arrayElemAt: ["$total.total", 0] },
+    // the caller's recurring donation, or null
+    const findOwnRecurringDonation = (id, email) =>
+      recurringDonationsCollection.findOne({ _id: new ObjectId(id), email });
+
+    // start a recurring donation; the client confirms the first payment with
+    // the returned client secret
+    app.post(
+      "/recurring-donations",
+      verifyFirebaseToken,
+      validate({ body: schemas.createRecurringDonation }),
+      async (req, res) => {
+        const { amount, interval, campaignId } = req.body;
+        const { email } = req.decoded;
+        let { currency } = req.body;
+
+        try {
+          if (campaignId) {
+            const campaign = await campaignForDonation(campaignId);
+            if (!campaign) {
+              return res.status(400).send({
+                message: "This campaign is not accepting donations.",
+              });
+            }
+            currency = campaign.currency;
+          }
+
+          const amountError = checkAmount(amount, currency);
+          if (amountError) {
+            return res.status(400).send({ message: amountError });
+          }
+
+          const customer = await stripeCustomerFor(email);
+          const subscription = await stripe.subscriptions.create({
+            customer,
+            items: [
+              {
+                price_data: {
+                  currency,
+                  product: await recurringProductId(),
+                  unit_amount: toMinorUnits(amount, currency),
+                  recurring: { interval },
+                },
               },
+            ],
+            metadata: donationMetadata({ ...req.body, email }),
+            payment_behavior: "default_incomplete",
+            payment_settings: {
+              save_default_payment_method: "on_subscription",
             },
-          ])
-          .toArray();
+            expand: ["latest_invoice.confirmation_secret"],
+          });
 
-        res.send(result[0]);
-      } catch (error) {
-        console.error("Error fetching blog stats:", error);
-        res.status(500).send({ error: "Failed to fetch blog stats." });
+          const donation = {
+            email,
+            amount,
+            amountMinor: toMinorUnits(amount, currency),
+            currency,
+            interval,
+            campaignId: campaignId ? new ObjectId(campaignId) : null,
+            anonymous: req.body.anonymous,
+            stripeCustomerId: customer,
+            stripeSubscriptionId: subscription.id,
+            stripePriceId: subscription.items.data[0]?.price.id || null,
+            createdAt: new Date().toISOString(),
+            ...subscriptionState(subscription),
+          };
+          const result = await recurringDonationsCollection.insertOne(donation);
+
+          res.status(201).send({
+            insertedId: result.insertedId,
+            subscriptionId: subscription.id,
+            clientSecret:
+              subscription.latest_invoice?.confirmation_secret?.client_secret,
+          });
+        } catch (error) {
+          console.error("Error creating recurring donation:", error);
+          res
+            .status(500)
+            .send({ message: "Failed to create recurring donation" });
+        }
       }
-    });
+    );
 
-    // get blog details
-    app.get("/blogs/:id", verifyFirebaseToken, async (req, res) => {
-      const id = req.params.id;
+    // the caller's recurring donations
+    app.get("/recurring-donations", verifyFirebaseToken, async (req, res) => {
       try {
-        const blog = await blogsCollection.findOne({ _id: new ObjectId(id) });
-        if (!blog) {
-          return res.status(404).send({ error: "Blog not found." });
-        }
-        res.send(blog);
+        const donations = await recurringDonationsCollection
+          .find({ email: req.decoded.email })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(donations);
       } catch (error) {
-        res.status(500).send({ error: "Failed to fetch blog." });
+        res
+          .status(500)
+          .send({ message: "Failed to fetch recurring donations" });
       }
     });
 
-    // Create a payment intent endpoint
-    app.post("/api/create-payment-intent", async (req, res) => {
-      try {
-        const { amount, currency = "usd" } = req.body;
+    // pause or resume collecting a recurring donation
+    app.patch(
+      "/recurring-donations/:id",
+      verifyFirebaseToken,
+      validate({
+        params: schemas.idParams,
+        body: schemas.updateRecurringDonation,
+      }),
+      async (req, res) => {
+        const { paused } = req.body;
 
-        const paymentIntent = await stripe.paymentIntents.create({
-          amount: amount * 100,
-          currency,
-        });
+        try {
+          const donation = await findOwnRecurringDonation(
+            req.params.id,
+            req.decoded.email
+          );
+          if (!donation) {
+            return res
+              .status(404)
+              .send({ message: "Recurring donation not found" });
+          }
+          if (!["active", "paused"].includes(donation.status)) {
+            return res.status(409).send({
+              message: `A ${donation.status} recurring donation cannot be ${
+                paused ? "paused" : "resumed"
+              }.`,
+            });
+          }
 
-        res.json({ clientSecret: paymentIntent.client_secret });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
+          // paused invoices are voided, so nothing is owed on resume
+          const subscription = await stripe.subscriptions.update(
+            donation.stripeSubscriptionId,
+            { pause_collection: paused ? { behavior: "void" } : "" }
+          );
+          const state = subscriptionState(subscription);
+          await recurringDonationsCollection.updateOne(
+            { _id: donation._id },
+            { $set: state }
+          );
+          res.send({ status: state.status });
+        } catch (error) {
+          console.error("Error updating recurring donation:", error);
+          res
+            .status(500)
+            .send({ message: "Failed to update recurring donation" });
+        }
       }
-    });
-    // save payment
-    app.post("/api/save-payment", async (req, res) => {
-      try {
-        const { paymentIntentId, amount, email } = req.body;
+    );
+
+    // cancel a recurring donation right away
+    app.delete(
+      "/recurring-donations/:id",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        try {
+          const donation = await findOwnRecurringDonation(
+            req.params.id,
+            req.decoded.email
+          );
+          if (!donation) {
+            return res
+              .status(404)
+              .send({ message: "Recurring donation not found" });
+          }
+          if (donation.status === "canceled") {
+            return res.send({ status: "canceled" });
+          }
 
-        if (!paymentIntentId || !amount || !email) {
-          return res.status(400).json({ message: "Missing payment details" });
+          const subscription = await stripe.subscriptions.cancel(
+            donation.stripeSubscriptionId
+          );
+          const state = subscriptionState(subscription);
+          await recurringDonationsCollection.updateOne(
+            { _id: donation._id },
+            { $set: { ...state, canceledAt: state.updatedAt } }
+          );
+          res.send({ status: state.status });
+        } catch (error) {
+          console.error("Error canceling recurring donation:", error);
+          res
+            .status(500)
+            .send({ message: "Failed to cancel recurring donation" });
         }
+      }
+    );
 
-        const paymentData = {
-          paymentIntentId,
-          email,
-          amount,
-          paidAt: new Date().toISOString(),
-          status: "completed",
-        };
+    // the caller's own giving history, one-off and recurring
+    app.get(
+      "/my-payments",
+      verifyFirebaseToken,
+      validate({ query: schemas.myPaymentsQuery }),
+      async (req, res) => {
+        const { page, limit } = req.query;
+        const filter = { email: req.decoded.email };
 
-        const result = await paymentsCollection.insertOne(paymentData);
-        res.send({ success: true, insertedId: result.insertedId });
-      } catch (error) {
-        console.error("Save payment error:", error);
-        res.status(500).send({ message: "Failed to save payment" });
+        try {
+          const [payments, total, given] = await Promise.all([
+            paymentsCollection
+              .find(filter)
+              .sort({ paidAt: -1 })
+              .skip((page - 1) * limit)
+              .limit(limit)
+              .toArray(),
+            paymentsCollection.countDocuments(filter),
+            paymentsCollection
+              .aggregate([
+                {
+                  $match: {
+                    ...filter,
+                    status: { $in: COUNTED_PAYMENT_STATUSES },
+                  },
+                },
+                {
+                  $group: {
+                    _id: "$currency",
+                    amountMinor: { $sum: NET_AMOUNT_MINOR },
+                  },
+                },
+              ])
+              .toArray(),
+          ]);
+
+          res.send({
+            payments,
+            total,
+            totalPages: Math.ceil(total / limit),
+            totalsByCurrency: Object.fromEntries(
+              given.map(({ _id, amountMinor }) => [
+                _id,
+                fromMinorUnits(amountMinor, _id),
+              ])
+            ),
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch payments" });
+        }
       }
-    });
+    );
+
+    // receipts
+    // pdf receipt of one payment, for its donor or an admin
+    app.get(
+      "/payments/:id/receipt",
+      verifyFirebaseToken,
+      validate({ params: schemas.idParams }),
+      async (req, res) => {
+        const { email } = req.decoded;
+
+        try {
+          const filter = { _id: new ObjectId(req.params.id) };
+          let payment = await paymentsCollection.findOne(filter);
+          if (payment && payment.email !== email) {
+            const user = await usersCollection.findOne({
+              email,
+              ...notDeleted,
+            });
+            if (user?.role !== "admin") payment = null;
+          }
+          if (!payment) {
+            return res.status(404).send({ message: "Payment not found" });
+          }
+          if (!COUNTED_PAYMENT_STATUSES.includes(payment.status)) {
+            return res.status(409).send({
+              message: "Receipts are only issued for completed payments.",
+            });
+          }
+
+          // payments recorded before receipts existed are numbered now
+          if (!payment.receiptNumber) {
+            await issueReceipt(filter);
+            payment = await paymentsCollection.findOne(filter);
+          }
+
+          res.setHeader("Content-Type", "application/pdf");
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="${payment.receiptNumber}.pdf"`
+          );
+          receiptPdf(payment).pipe(res);
+        } catch (error) {
+          console.error("Error generating receipt:", error);
+          res.status(500).send({ message: "Failed to generate receipt" });
+        }
+      }
+    );
+
+    // yearly statement of a donor's gifts. admins may ask for any donor.
+    app.get(
+      "/statements/:year",
+      verifyFirebaseToken,
+      validate({
+        params: schemas.statementParams,
+        query: schemas.statementQuery,
+      }),
+      async (req, res) => {
+        const { year } = req.params;
+        const email = req.query.email || req.decoded.email;
+
+        try {
+          if (email !== req.decoded.email) {
+            const user = await usersCollection.findOne({
+              email: req.decoded.email,
+              ...notDeleted,
+            });
+            if (user?.role !== "admin") {
+              return res.status(403).send({ message: "Forbidden access." });
+            }
+          }
+
+          const payments = await paymentsCollection
+            .find({
+              email,
+              status: { $in: COUNTED_PAYMENT_STATUSES },
+              paidAt: { $gte: `${year}-01-01`, $lt: `${year + 1}-01-01` },
+            })
+            .sort({ paidAt: 1 })
+            .toArray();
+
+          res.setHeader("Content-Type", "application/pdf");
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="statement-${year}.pdf"`
+          );
+          statementPdf({ email, year, payments }).pipe(res);
+        } catch (error) {
+          console.error("Error generating statement:", error);
+          res.status(500).send({ message: "Failed to generate statement" });
+        }
+      }
+    );
+
+    app.get(
+      "/fundraiser-payments/export",
+      verifyFirebaseToken,
+      verifyAdmin,
+      validate({ query: schemas.paymentsExportQuery }),
+      (req, res) =>
+        exportCollection(req, res, paymentsCollection, "payments", {})
+    );
+
     // get payment details
     app.get(
       "/fundraiser-payments",
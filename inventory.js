@@ -0,0 +1,64 @@
+// blood bank / hospital stock. inventory is kept as batches of units with an
+// expiry date; stock is the sum of unexpired batches.
+const { BLOOD_GROUPS, COMPONENTS } = require("./bloodCompatibility");
+
+const ORGANISATION_TYPES = ["hospital", "bloodBank"];
+
+// why stock changed; received adds a batch, the others adjust one
+const STOCK_REASONS = ["received", "issued", "discarded", "correction"];
+
+// below `critical` units a group is critically low, below `low` it is low
+const stockThresholds = () => ({
+  critical: parseInt(process.env.STOCK_CRITICAL_UNITS) || 3,
+  low: parseInt(process.env.STOCK_LOW_UNITS) || 10,
+});
+
+const stockLevel = (units, thresholds = stockThresholds()) => {
+  if (units < thresholds.critical) return "critical";
+  if (units < thresholds.low) return "low";
+  return "ok";
+};
+
+// unexpired units per blood group and component (and whatever else `by`
+// adds to the group key), for batches matching `match`
+const stockPipeline = (match, today, by = {}) => [
+  { $match: { ...match, units: { $gt: 0 }, expiresOn: { $gte: today } } },
+  {
+    $group: {
+      _id: { ...by, bloodGroup: "$bloodGroup", component: "$component" },
+      units: { $sum: "$units" },
+      nextExpiry: { $min: "$expiresOn" },
+    },
+  },
+];
+
+// one row per blood group and component, zero when nothing is in stock,
+// so missing groups show up as shortages rather than disappearing
+const stockGrid = (rows, components = COMPONENTS) => {
+  const thresholds = stockThresholds();
+  const found = new Map(
+    rows.map((row) => [`${row._id.bloodGroup}|${row._id.component}`, row])
+  );
+
+  return BLOOD_GROUPS.flatMap((bloodGroup) =>
+    components.map((component) => {
+      const row = found.get(`${bloodGroup}|${component}`);
+      const units = row?.units || 0;
+      return {
+        bloodGroup,
+        component,
+        units,
+        nextExpiry: row?.nextExpiry || null,
+        level: stockLevel(units, thresholds),
+      };
+    })
+  );
+};
+
+module.exports = {
+  ORGANISATION_TYPES,
+  STOCK_REASONS,
+  stockLevel,
+  stockPipeline,
+  stockGrid,
+};
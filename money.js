@@ -0,0 +1,130 @@
+// currency aware amounts. payments are stored in minor units (cents, paisa)
+// as stripe charges them; the exponent depends on the currency.
+const ZERO_DECIMAL = [
+  "bif",
+  "clp",
+  "djf",
+  "gnf",
+  "jpy",
+  "kmf",
+  "krw",
+  "mga",
+  "pyg",
+  "rwf",
+  "ugx",
+  "vnd",
+  "vuv",
+  "xaf",
+  "xof",
+  "xpf",
+];
+const THREE_DECIMAL = ["bhd", "jod", "kwd", "omr", "tnd"];
+
+// stripe's minimum charge in major units where we know it; everything else
+// falls back to DEFAULT_LIMITS. PAYMENT_LIMITS (json) overrides per currency,
+// e.g. {"bdt":{"min":50,"max":500000}}
+const DEFAULT_LIMITS = { min: 1, max: 999999 };
+const STRIPE_MINIMUMS = {
+  usd: 0.5,
+  eur: 0.5,
+  gbp: 0.3,
+  cad: 0.5,
+  aud: 0.5,
+  inr: 0.5,
+  jpy: 50,
+};
+
+// payments from before currencies were recorded were all taken in usd
+const LEGACY_CURRENCY = "usd";
+
+const decimalsFor = (currency) => {
+  const code = (currency || LEGACY_CURRENCY).toLowerCase();
+  if (ZERO_DECIMAL.includes(code)) return 0;
+  if (THREE_DECIMAL.includes(code)) return 3;
+  return 2;
+};
+
+const toMinorUnits = (amount, currency) =>
+  Math.round(amount * 10 ** decimalsFor(currency));
+
+const fromMinorUnits = (minor, currency) => minor / 10 ** decimalsFor(currency);
+
+const parseJsonEnv = (name) => {
+  try {
+    return JSON.parse(process.env[name] || "{}");
+  } catch (err) {
+    console.error(`${name} is not valid JSON, ignoring it`);
+    return {};
+  }
+};
+
+const amountLimits = (currency) => {
+  const code = currency.toLowerCase();
+  const configured = parseJsonEnv("PAYMENT_LIMITS")[code] || {};
+  return {
+    min: configured.min ?? STRIPE_MINIMUMS[code] ?? DEFAULT_LIMITS.min,
+    max: configured.max ?? DEFAULT_LIMITS.max,
+  };
+};
+
+// returns an error message for an amount (major units) the currency cannot
+// take, or null when it is fine
+const checkAmount = (amount, currency) => {
+  const decimals = decimalsFor(currency);
+  const code = currency.toUpperCase();
+  if (
+    Math.abs(toMinorUnits(amount, currency) - amount * 10 ** decimals) > 1e-6
+  ) {
+    return decimals === 0
+      ? `${code} amounts cannot have decimals.`
+      : `${code} amounts can have at most ${decimals} decimals.`;
+  }
+
+  const { min, max } = amountLimits(currency);
+  if (amount < min) return `The minimum ${code} amount is ${min}.`;
+  if (amount > max) return `The maximum ${code} amount is ${max}.`;
+  return null;
+};
+
+// base currency and its rate table. CURRENCY_RATES (json) maps a currency to
+// the value of one of its major units in the base currency, e.g. with a usd
+// base {"bdt":0.0082,"eur":1.08}
+const exchangeRates = () => {
+  const base = (process.env.BASE_CURRENCY || "usd").toLowerCase();
+  const rates = Object.fromEntries(
+    Object.entries(parseJsonEnv("CURRENCY_RATES")).map(([code, rate]) => [
+      code.toLowerCase(),
+      Number(rate),
+    ])
+  );
+  return { base, rates: { ...rates, [base]: 1 } };
+};
+
+// sums { currency, amountMinor } totals into the base currency. currencies
+// without a rate are left out and listed in `unconverted`.
+const convertTotals = (totals, { base, rates }) => {
+  let total = 0;
+  const unconverted = [];
+  totals.forEach(({ currency, amountMinor }) => {
+    if (!rates[currency]) return unconverted.push(currency);
+    total += fromMinorUnits(amountMinor, currency) * rates[currency];
+  });
+  const amountMinor = toMinorUnits(total, base);
+  return {
+    currency: base,
+    amountMinor,
+    amount: fromMinorUnits(amountMinor, base),
+    unconverted,
+  };
+};
+
+module.exports = {
+  LEGACY_CURRENCY,
+  decimalsFor,
+  toMinorUnits,
+  fromMinorUnits,
+  amountLimits,
+  checkAmount,
+  exchangeRates,
+  convertTotals,
+};
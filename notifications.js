@@ -0,0 +1,175 @@
+// notification delivery: stored in-app notifications, live Server-Sent
+// Events streams, and external transports (email/SMS). a transport is any
+// object with `send(to, { title, body, link })` returning a promise.
+const { inQuietHours } = require("./availability");
+
+const DEFAULT_PREFERENCES = { inApp: true, email: true, sms: false };
+
+// development/test transport: keeps the last `limit` messages in memory.
+// with `debug` it also logs each title, never the recipient.
+const createFakeTransport = (channel, { limit = 100, debug = false } = {}) => {
+  const outbox = [];
+  return {
+    channel,
+    outbox,
+    send: async (to, message) => {
+      outbox.push({ to, ...message, sentAt: new Date().toISOString() });
+      if (outbox.length > limit) outbox.shift();
+      if (debug) console.debug(`[${channel}] ${message.title}`);
+    },
+  };
+};
+
+// posts each message as JSON to an email/SMS gateway
+const createHttpTransport = (channel, { url, token }) => ({
+  channel,
+  send: async (to, message) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify({ to, ...message }),
+    });
+    if (!response.ok) {
+      throw new Error(`${channel} gateway answered ${response.status}`);
+    }
+  },
+});
+
+// a channel uses its gateway when <CHANNEL>_GATEWAY_URL is set, the fake
+// transport in development and tests, and is turned off otherwise
+const transportsFromEnv = (env = process.env) => {
+  const fake = ["development", "test"].includes(env.NODE_ENV);
+  const transports = {};
+  for (const channel of ["email", "sms"]) {
+    const prefix = channel.toUpperCase();
+    const url = env[`${prefix}_GATEWAY_URL`];
+    if (url) {
+      transports[channel] = createHttpTransport(channel, {
+        url,
+        token: env[`${prefix}_GATEWAY_TOKEN`],
+      });
+    } else if (fake) {
+      transports[channel] = createFakeTransport(channel, {
+        debug: env.NOTIFICATION_DEBUG === "true",
+      });
+    }
+  }
+  return transports;
+};
+
+// open SSE connections, keyed by user email
+const createStreamHub = () => {
+  const clients = new Map();
+
+  const add = (email, res) => {
+    if (!clients.has(email)) clients.set(email, new Set());
+    clients.get(email).add(res);
+
+    return () => {
+      const connections = clients.get(email);
+      connections?.delete(res);
+      if (connections?.size === 0) clients.delete(email);
+    };
+  };
+
+  const publish = (email, event, data) => {
+    const connections = clients.get(email);
+    if (!connections) return false;
+    connections.forEach((res) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    );
+    return true;
+  };
+
+  return { add, publish };
+};
+
+const createNotifier = ({
+  notificationsCollection,
+  streams,
+  transports = {},
+  rateLimit = {},
+}) => {
+  const maxPerWindow = rateLimit.max || 5;
+  const windowMs = (rateLimit.windowMinutes || 60) * 60 * 1000;
+
+  // deliver one notification to a user through every channel they allow.
+  // each user gets at most `maxPerWindow` notifications of a type per window.
+  // during the user's quiet hours it is only stored in the app.
+  const notify = async (user, notification) => {
+    const preferences = {
+      ...DEFAULT_PREFERENCES,
+      ...user.notificationPreferences,
+    };
+    const now = new Date();
+
+    const recent = await notificationsCollection.countDocuments({
+      email: user.email,
+      type: notification.type,
+      createdAt: { $gte: new Date(now.getTime() - windowMs).toISOString() },
+    });
+    if (recent >= maxPerWindow) {
+      return { delivered: [], skipped: "rate-limited" };
+    }
+
+    const quiet = inQuietHours(user, now);
+    const channels = [];
+    if (preferences.inApp) channels.push("inApp");
+    if (!quiet && preferences.email && transports.email) channels.push("email");
+    if (!quiet && preferences.sms && transports.sms && user.phone) {
+      channels.push("sms");
+    }
+
+    const doc = {
+      email: user.email,
+      ...notification,
+      channels,
+      read: false,
+      createdAt: now.toISOString(),
+    };
+    const { insertedId } = await notificationsCollection.insertOne(doc);
+
+    if (preferences.inApp) {
+      streams?.publish(user.email, "notification", { _id: insertedId, ...doc });
+    }
+
+    const message = {
+      title: notification.title,
+      body: notification.body,
+      link: notification.link,
+    };
+    const sends = [];
+    if (channels.includes("email")) {
+      sends.push(transports.email.send(user.email, message));
+    }
+    if (channels.includes("sms")) {
+      sends.push(transports.sms.send(user.phone, message));
+    }
+
+    // a failing transport must not lose the stored notification
+    const results = await Promise.allSettled(sends);
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) =>
+        console.error("Notification transport error:", result.reason)
+      );
+
+    return quiet
+      ? { delivered: channels, skipped: "quiet-hours" }
+      : { delivered: channels };
+  };
+
+  return { notify };
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  createFakeTransport,
+  createHttpTransport,
+  transportsFromEnv,
+  createStreamHub,
+  createNotifier,
+};
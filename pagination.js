@@ -0,0 +1,84 @@
+// keyset (cursor) pagination over a sort of [field, direction] pairs.
+// the sort must end in a unique field (usually _id) so every position is
+// unambiguous. cursors are opaque base64url EJSON of the last row's values.
+const { BSON, ObjectId } = require("mongodb");
+
+// cursors come from clients, so only plain values may reach a $match;
+// anything else (operator objects, regexes, code) makes the cursor invalid
+const isCursorValue = (value) =>
+  value === null ||
+  typeof value === "string" ||
+  typeof value === "boolean" ||
+  (typeof value === "number" && Number.isFinite(value)) ||
+  (value instanceof Date && !Number.isNaN(value.getTime())) ||
+  value instanceof ObjectId;
+
+const encodeCursor = (doc, sort) =>
+  Buffer.from(
+    BSON.EJSON.stringify(sort.map(([field]) => doc[field] ?? null))
+  ).toString("base64url");
+
+// returns the decoded values, or null for a malformed or unsafe cursor
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = BSON.EJSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    return Array.isArray(values) &&
+      values.length === sort.length &&
+      values.every(isCursorValue)
+      ? values
+      : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// rows whose `field` sorts after `value`. mongo sorts null (and missing)
+// before every other value, so nulls need their own conditions: after a
+// null come all non-null values ascending and nothing descending, and the
+// nulls follow every value descending.
+const beyond = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1
+      ? { [field]: { $ne: null } }
+      : { [field]: { $in: [] } };
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// $match stage selecting the rows that come after `values` in sort order
+const afterCursor = (sort, values) => ({
+  $match: {
+    $or: sort.map(([field, direction], i) => ({
+      $and: [
+        ...sort.slice(0, i).map(([previous], j) => ({
+          [previous]: values[j],
+        })),
+        beyond(field, direction, values[i]),
+      ],
+    })),
+  },
+});
+
+const sortStage = (sort) => ({ $sort: Object.fromEntries(sort) });
+
+// reads one row past the page to know whether another page exists
+const paginate = (rows, limit, sort) => {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    rows: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  sortStage,
+  paginate,
+};
@@ -0,0 +1,14 @@
+// how stripe events may move a payment record's status. events can arrive
+// late, twice or out of order, so each write only replaces the statuses it
+// is allowed to.
+const REFUND_STATUSES = ["refunded", "partially_refunded"];
+
+// statuses a write of `status` must leave alone: a refund is only replaced
+// by a further refund, and a failure never undoes a completed payment
+const protectedStatuses = (status) =>
+  status === "failed" ? [...REFUND_STATUSES, "completed"] : REFUND_STATUSES;
+
+// condition on the stored status under which `status` may be written
+const statusGuard = (status) => ({ $nin: protectedStatuses(status) });
+
+module.exports = { REFUND_STATUSES, protectedStatuses, statusGuard };
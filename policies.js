@@ -0,0 +1,88 @@
+// route policies enforced by the authorize() middleware in index.js
+//   roles:  user roles that are always let through
+//   owner:  ownership check ("self", "requester" or "bodyRequester"), lets
+//           the caller through when they own the target
+//   fields: per grant ("owner" or a role), the body fields that caller may
+//           send. routes without `fields` do not restrict the body.
+
+const PROFILE_FIELDS = [
+  "name",
+  "avatar",
+  "bloodGroup",
+  "gender",
+  "phone",
+  "district",
+  "upazila",
+  "latitude",
+  "longitude",
+];
+
+const DONATION_REQUEST_FIELDS = [
+  "recipientName",
+  "district",
+  "upazila",
+  "hospitalName",
+  "fullAddress",
+  "bloodGroup",
+  "donationDate",
+  "donationTime",
+  "requestMessage",
+  "urgency",
+  "hospitalId",
+  "latitude",
+  "longitude",
+];
+
+const BLOG_FIELDS = ["title", "thumbnail", "content"];
+
+const policies = {
+  updateProfile: {
+    roles: ["admin"],
+    owner: "self",
+    fields: {
+      owner: PROFILE_FIELDS,
+      admin: [...PROFILE_FIELDS, "role", "status"],
+    },
+  },
+  viewDonationHistory: {
+    roles: ["admin"],
+    owner: "self",
+  },
+  manageUser: {
+    roles: ["admin"],
+    fields: { admin: ["role", "status"] },
+  },
+  createDonationRequest: {
+    owner: "bodyRequester",
+  },
+  editDonationRequest: {
+    roles: ["admin", "volunteer"],
+    owner: "requester",
+    fields: {
+      owner: [...DONATION_REQUEST_FIELDS, "status"],
+      volunteer: ["status"],
+      admin: [...DONATION_REQUEST_FIELDS, "status"],
+    },
+  },
+  deleteDonationRequest: {
+    roles: ["admin"],
+    owner: "requester",
+  },
+  createBlog: {
+    roles: ["admin", "volunteer"],
+    fields: { admin: BLOG_FIELDS, volunteer: BLOG_FIELDS },
+  },
+  // which status moves each role may make is decided by blogWorkflow.js
+  editBlog: {
+    roles: ["admin", "volunteer"],
+    fields: {
+      admin: [...BLOG_FIELDS, "status", "publishAt", "slug"],
+      volunteer: [...BLOG_FIELDS, "status"],
+    },
+  },
+  deleteBlog: {
+    roles: ["admin"],
+  },
+};
+
+module.exports = policies;
@@ -0,0 +1,96 @@
+// what other people may see of a donor, and when contact details are shared
+const DEFAULT_PRIVACY = {
+  // listed in donor search at all
+  searchable: true,
+  showAvatar: true,
+  // upazila as well as district; some donors in small upazilas opt out
+  showUpazila: true,
+  // others may ask for contact details through a contact request
+  allowContactRequests: true,
+  // what an accepted contact request reveals
+  shareEmail: true,
+  sharePhone: true,
+};
+
+const CONTACT_REQUEST_STATUSES = [
+  "pending",
+  "accepted",
+  "declined",
+  "withdrawn",
+];
+
+// who may move a contact request to each status (from pending only)
+const CONTACT_RESPONSES = {
+  accepted: "donor",
+  declined: "donor",
+  withdrawn: "requester",
+};
+
+const privacyOf = (user) => ({ ...DEFAULT_PRIVACY, ...user.privacy });
+
+// mongo filter leaving out donors who asked not to appear in search
+const searchableQuery = () => ({ "privacy.searchable": { $ne: false } });
+
+// search result fields other users may see: name, blood group, area and
+// availability. ranking fields added by the search are passed through.
+const publicDonor = (donor) => {
+  const privacy = privacyOf(donor);
+  return {
+    _id: donor._id,
+    name: donor.name,
+    avatar: privacy.showAvatar ? donor.avatar || null : null,
+    bloodGroup: donor.bloodGroup,
+    district: donor.district,
+    upazila: privacy.showUpazila ? donor.upazila : null,
+    eligible: donor.eligible,
+    nextEligibleAt: donor.nextEligibleAt,
+    acceptsContactRequests: privacy.allowContactRequests,
+    ...(donor.distanceKm !== undefined && { distanceKm: donor.distanceKm }),
+    ...(donor.matchedBy && { matchedBy: donor.matchedBy }),
+    ...(donor.exactMatch !== undefined && { exactMatch: donor.exactMatch }),
+  };
+};
+
+// a donation request as the public feed shows it: no requester email, a
+// status history without who made each change, and the assigned donor only
+// as far as their privacy settings allow (`donorUser` is their user
+// document, when it still exists)
+const publicRequest = (request, donorUser) => {
+  const { requesterEmail, donor, statusHistory, ...rest } = request;
+  const shown = {
+    ...rest,
+    ...(statusHistory && {
+      statusHistory: statusHistory.map(({ from, to, changedAt }) => ({
+        from,
+        to,
+        changedAt,
+      })),
+    }),
+  };
+  if (!donor) return shown;
+  return {
+    ...shown,
+    donor: donorUser ? publicDonor(donorUser) : { name: donor.name || null },
+  };
+};
+
+// the details an accepted contact request reveals, per the donor's settings
+const contactDetails = (donor) => {
+  const privacy = privacyOf(donor);
+  return {
+    name: donor.name,
+    email: privacy.shareEmail ? donor.email : null,
+    phone: privacy.sharePhone ? donor.phone || null : null,
+  };
+};
+
+module.exports = {
+  DEFAULT_PRIVACY,
+  CONTACT_REQUEST_STATUSES,
+  CONTACT_RESPONSES,
+  privacyOf,
+  searchableQuery,
+  publicDonor,
+  publicRequest,
+  contactDetails,
+};
@@ -0,0 +1,168 @@
+// pdf receipts for single payments and yearly statements per donor
+const PDFDocument = require("pdfkit");
+const { LEGACY_CURRENCY, fromMinorUnits } = require("./money");
+
+// the organisation printed on every document, configured through env
+const organisation = () => ({
+  name: process.env.ORG_NAME || "BloodGrid",
+  address: process.env.ORG_ADDRESS || "",
+  email: process.env.ORG_EMAIL || "",
+  phone: process.env.ORG_PHONE || "",
+  // charity / tax registration shown so donors can claim deductions
+  taxId: process.env.ORG_TAX_ID || "",
+  // optional note, e.g. under which law gifts are deductible
+  taxNote: process.env.ORG_TAX_NOTE || "",
+});
+
+// BG-2026-000042
+const formatReceiptNumber = (year, sequence) =>
+  `${process.env.RECEIPT_PREFIX || "BG"}-${year}-${String(sequence).padStart(
+    6,
+    "0"
+  )}`;
+
+// amounts are shown from the stored minor units, never the older float
+// fields, so every figure on a document is computed the same way
+const paidAmount = (payment) =>
+  fromMinorUnits(payment.amountMinor || 0, payment.currency);
+
+const refundedAmount = (payment) =>
+  fromMinorUnits(payment.refundedAmountMinor || 0, payment.currency);
+
+const netAmount = (payment) =>
+  fromMinorUnits(
+    (payment.amountMinor || 0) - (payment.refundedAmountMinor || 0),
+    payment.currency
+  );
+
+const formatMoney = (amount, currency) => {
+  const code = (currency || LEGACY_CURRENCY).toUpperCase();
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: code,
+    }).format(amount);
+  } catch (err) {
+    return `${amount} ${code}`;
+  }
+};
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: process.env.APP_TIMEZONE || "Asia/Dhaka",
+  });
+
+const header = (doc, org, title) => {
+  doc.fontSize(18).text(org.name);
+  doc.fontSize(9).fillColor("#555");
+  [org.address, org.email, org.phone].filter(Boolean).forEach((line) => {
+    doc.text(line);
+  });
+  if (org.taxId) doc.text(`Tax ID: ${org.taxId}`);
+  doc.fillColor("#000").moveDown(1.5);
+  doc.fontSize(14).text(title).moveDown();
+};
+
+// label/value rows
+const rows = (doc, entries) => {
+  doc.fontSize(10);
+  entries.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.text(label, 50, y, { width: 150 });
+    doc.text(value, 200, y);
+    doc.moveDown(0.3);
+  });
+  doc.x = doc.page.margins.left;
+};
+
+const footer = (doc, org) => {
+  doc.moveDown(2).fontSize(9).fillColor("#555");
+  if (org.taxNote) doc.text(org.taxNote).moveDown(0.5);
+  doc.text(
+    "No goods or services were provided in exchange for this contribution."
+  );
+  doc.fillColor("#000");
+};
+
+// receipt for one payment; the returned document streams once piped
+const receiptPdf = (payment, org = organisation()) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+
+  header(doc, org, `Donation receipt ${payment.receiptNumber}`);
+  const entries = [
+    ["Receipt number", payment.receiptNumber],
+    ["Date", formatDate(payment.paidAt)],
+    ["Donor", payment.donorName || payment.email || "-"],
+    ["Email", payment.email || "-"],
+    ["Amount", formatMoney(paidAmount(payment), payment.currency)],
+  ];
+  if (payment.refundedAmountMinor) {
+    entries.push(
+      ["Refunded", formatMoney(refundedAmount(payment), payment.currency)],
+      ["Net donation", formatMoney(netAmount(payment), payment.currency)]
+    );
+  }
+  entries.push(
+    ["Type", payment.source === "subscription" ? "Recurring" : "One-off"],
+    ["Reference", payment.paymentIntentId || payment.invoiceId || "-"]
+  );
+  rows(doc, entries);
+
+  footer(doc, org);
+  doc.end();
+  return doc;
+};
+
+// one year of a donor's payments with totals per currency
+const statementPdf = ({ email, year, payments }, org = organisation()) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+
+  header(doc, org, `Donation statement ${year}`);
+  rows(doc, [
+    ["Donor", email],
+    ["Period", `1 January ${year} - 31 December ${year}`],
+    ["Issued", formatDate(new Date().toISOString())],
+  ]);
+  doc.moveDown();
+
+  if (payments.length === 0) {
+    doc.fontSize(10).text("No donations were received in this period.");
+  }
+  rows(
+    doc,
+    payments.map((payment) => [
+      formatDate(payment.paidAt),
+      `${formatMoney(netAmount(payment), payment.currency)}   ${
+        payment.receiptNumber || ""
+      }`,
+    ])
+  );
+
+  const totals = {};
+  payments.forEach((payment) => {
+    totals[payment.currency] =
+      (totals[payment.currency] || 0) + netAmount(payment);
+  });
+  doc.moveDown();
+  rows(
+    doc,
+    Object.entries(totals).map(([currency, total]) => [
+      "Total",
+      formatMoney(total, currency),
+    ])
+  );
+
+  footer(doc, org);
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  organisation,
+  formatReceiptNumber,
+  receiptPdf,
+  statementPdf,
+};
@@ -0,0 +1,54 @@
+// recurring donations are stripe subscriptions; these map stripe objects onto
+// the records kept in the recurringDonations and payments collections
+const INTERVALS = ["month", "year"];
+
+// every subscription is priced inline against this one product, so the stripe
+// catalog does not fill up with a product per donor
+const RECURRING_PRODUCT = {
+  id: "bloodgrid-recurring-donation",
+  name: "BloodGrid recurring donation",
+};
+
+// stripe metadata values are strings, so flags travel as "true"/"false"
+const donationMetadata = ({ email, campaignId, anonymous, donorName }) => {
+  const metadata = { anonymous: String(Boolean(anonymous)) };
+  if (email) metadata.email = email;
+  if (campaignId) metadata.campaignId = String(campaignId);
+  if (donorName) metadata.donorName = donorName;
+  return metadata;
+};
+
+// our status for a subscription: stripe's own, except that a subscription
+// with collection paused reads "paused" while stripe still says "active"
+const subscriptionState = (subscription) => ({
+  status: subscription.pause_collection ? "paused" : subscription.status,
+  cancelAtPeriodEnd: subscription.cancel_at_period_end,
+  currentPeriodEnd: subscription.items?.data?.[0]?.current_period_end
+    ? new Date(
+        subscription.items.data[0].current_period_end * 1000
+      ).toISOString()
+    : null,
+  updatedAt: new Date().toISOString(),
+});
+
+// subscription id and metadata an invoice was billed for, or null for
+// invoices that do not come from a subscription
+const invoiceSubscription = (invoice) => {
+  const details = invoice.parent?.subscription_details;
+  if (!details?.subscription) return null;
+  return {
+    subscriptionId:
+      typeof details.subscription === "string"
+        ? details.subscription
+        : details.subscription.id,
+    metadata: details.metadata || {},
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  RECURRING_PRODUCT,
+  donationMetadata,
+  subscriptionState,
+  invoiceSubscription,
+};
@@ -0,0 +1,62 @@
+// allowlist html sanitizing for user supplied rich text
+const sanitizeHtml = require("sanitize-html");
+
+const BLOG_HTML = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h2",
+    "h3",
+    "h4",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "u",
+    "s",
+    "blockquote",
+    "code",
+    "pre",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "figure",
+    "figcaption",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    th: ["colspan", "rowspan"],
+    td: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  // images whose src was dropped as unsafe
+  exclusiveFilter: (frame) => frame.tag === "img" && !frame.attribs.src,
+  // drop <script>/<style> along with their text instead of keeping the text
+  disallowedTagsMode: "discard",
+  transformTags: {
+    // links opening a new tab must not get a handle on this window
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs:
+        attribs.target === "_blank"
+          ? { ...attribs, rel: "noopener noreferrer" }
+          : attribs,
+    }),
+  },
+};
+
+const sanitizeBlogHtml = (html) => sanitizeHtml(html, BLOG_HTML).trim();
+
+module.exports = { BLOG_HTML, sanitizeBlogHtml };
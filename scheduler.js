@@ -0,0 +1,25 @@
+// background jobs that run on a fixed interval inside the server process
+const scheduleJob = (name, intervalMs, task) => {
+  let running = false;
+
+  // a slow run is never overlapped by the next tick
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`Scheduled job "${name}" failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // do not keep the process alive just for the job
+  timer.unref();
+
+  return { run, stop: () => clearInterval(timer) };
+};
+
+module.exports = { scheduleJob };
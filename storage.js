@@ -0,0 +1,35 @@
+// where uploaded files end up. a storage adapter is any object with
+//   put(key, buffer, contentType) -> Promise<string>  public url of the file
+//   remove(key)                   -> Promise<void>
+// keys are "/"-separated relative paths generated by the server, so another
+// backend (s3, cloudinary...) can be swapped in without touching the routes.
+const fs = require("fs/promises");
+const path = require("path");
+
+// files under `root` on the local disk, served by the app at `publicUrl`
+const createLocalStorage = ({ root, publicUrl }) => {
+  const base = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    root: base,
+    put: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${publicUrl.replace(/\/+$/, "")}/${key}`;
+    },
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeText, icsDate, buildCalendar } = require("../calendar");
+
+const event = {
+  uid: "a1@bloodgrid",
+  start: "2025-03-10T04:00:00.000Z",
+  end: "2025-03-10T04:30:00.000Z",
+  summary: "Blood donation",
+  location: "Dhaka Medical College, Dhaka",
+  updatedAt: "2025-03-01T10:00:00.000Z",
+};
+
+test("escapeText escapes the characters iCalendar reserves", () => {
+  assert.equal(escapeText("a;b,c\\d\ne"), "a\\;b\\,c\\\\d\\ne");
+  assert.equal(escapeText(), "");
+});
+
+test("icsDate writes UTC date-times without separators", () => {
+  assert.equal(icsDate("2025-03-10T04:00:00.000Z"), "20250310T040000Z");
+});
+
+test("buildCalendar writes one event per appointment", () => {
+  const ics = buildCalendar("My appointments", [event]);
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  const lines = ics.split("\r\n");
+  for (const line of [
+    "BEGIN:VEVENT",
+    "UID:a1@bloodgrid",
+    "DTSTAMP:20250301T100000Z",
+    "DTSTART:20250310T040000Z",
+    "DTEND:20250310T043000Z",
+    "STATUS:CONFIRMED",
+    "LOCATION:Dhaka Medical College\\, Dhaka",
+    "END:VEVENT",
+  ]) {
+    assert.ok(lines.includes(line), line);
+  }
+});
+
+test("buildCalendar marks canceled appointments", () => {
+  const ics = buildCalendar("My appointments", [{ ...event, canceled: true }]);
+  assert.ok(ics.split("\r\n").includes("STATUS:CANCELLED"));
+});
+
+test("buildCalendar folds lines longer than 75 octets", () => {
+  const ics = buildCalendar("My appointments", [
+    { ...event, description: "রক্তদান ".repeat(20) },
+  ]);
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.ok(unfolded.includes(`DESCRIPTION:${"রক্তদান ".repeat(20)}`));
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { campReport } = require("../camps");
+
+const camp = {
+  _id: "c1",
+  title: "Dhanmondi drive",
+  date: "2025-03-10",
+  status: "scheduled",
+  targetUnits: 20,
+  bloodGroups: ["O-", "A+"],
+};
+
+const facets = {
+  byStatus: [
+    { _id: "registered", count: 4 },
+    { _id: "checkedIn", count: 1 },
+    { _id: "donated", count: 4 },
+    { _id: "deferred", count: 1 },
+    { _id: "canceled", count: 2 },
+  ],
+  byBloodGroup: [
+    { _id: "A+", donors: 3, units: 3 },
+    { _id: "B+", donors: 1, units: 2 },
+  ],
+  walkIns: [{ count: 2 }],
+};
+
+test("campReport counts attendance and units against the targets", () => {
+  const report = campReport(camp, facets, "2025-03-10");
+  assert.equal(report.registered, 10);
+  assert.equal(report.attended, 6);
+  assert.equal(report.attendanceRate, 60);
+  assert.equal(report.canceled, 2);
+  assert.equal(report.walkIns, 2);
+  assert.equal(report.waiting, 1);
+  assert.equal(report.unitsCollected, 5);
+  assert.equal(report.targetProgress, 25);
+});
+
+test("campReport lists the groups asked for even without donations", () => {
+  const { bloodGroups } = campReport(camp, facets, "2025-03-10");
+  assert.deepEqual(bloodGroups, [
+    { bloodGroup: "A+", needed: true, donors: 3, units: 3 },
+    { bloodGroup: "B+", needed: false, donors: 1, units: 2 },
+    { bloodGroup: "O-", needed: true, donors: 0, units: 0 },
+  ]);
+});
+
+test("campReport counts no-shows only once the camp day has passed", () => {
+  assert.equal(campReport(camp, facets, "2025-03-10").noShows, 0);
+  assert.equal(campReport(camp, facets, "2025-03-11").noShows, 4);
+  const completed = { ...camp, status: "completed" };
+  assert.equal(campReport(completed, facets, "2025-03-10").noShows, 4);
+});
+
+test("campReport handles a camp nobody registered for", () => {
+  const empty = { byStatus: [], byBloodGroup: [], walkIns: [] };
+  const report = campReport(camp, empty, "2025-03-01");
+  assert.equal(report.registered, 0);
+  assert.equal(report.attendanceRate, null);
+  assert.equal(report.walkIns, 0);
+  assert.equal(report.targetProgress, 0);
+});
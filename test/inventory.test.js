@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stockLevel, stockGrid } = require("../inventory");
+
+test("stockLevel compares units with the thresholds", () => {
+  const thresholds = { critical: 3, low: 10 };
+  assert.equal(stockLevel(0, thresholds), "critical");
+  assert.equal(stockLevel(3, thresholds), "low");
+  assert.equal(stockLevel(10, thresholds), "ok");
+});
+
+test("stockGrid has a row for every blood group and component", () => {
+  const grid = stockGrid(
+    [
+      {
+        _id: { bloodGroup: "O-", component: "whole" },
+        units: 12,
+        nextExpiry: "2025-04-01",
+      },
+    ],
+    ["whole"]
+  );
+  assert.equal(grid.length, 8);
+  assert.deepEqual(
+    grid.find((row) => row.bloodGroup === "O-"),
+    {
+      bloodGroup: "O-",
+      component: "whole",
+      units: 12,
+      nextExpiry: "2025-04-01",
+      level: "ok",
+    }
+  );
+  assert.deepEqual(
+    grid.find((row) => row.bloodGroup === "AB-"),
+    {
+      bloodGroup: "AB-",
+      component: "whole",
+      units: 0,
+      nextExpiry: null,
+      level: "critical",
+    }
+  );
+});
+
+test("stockGrid covers every component by default", () => {
+  assert.equal(stockGrid([]).length, 24);
+});
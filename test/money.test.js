@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  decimalsFor,
+  toMinorUnits,
+  fromMinorUnits,
+  checkAmount,
+  convertTotals,
+} = require("../money");
+
+test("decimalsFor follows the currency's exponent", () => {
+  assert.equal(decimalsFor("usd"), 2);
+  assert.equal(decimalsFor("JPY"), 0);
+  assert.equal(decimalsFor("kwd"), 3);
+  // payments from before currencies were recorded are usd
+  assert.equal(decimalsFor(undefined), 2);
+});
+
+test("amounts convert to minor units and back", () => {
+  assert.equal(toMinorUnits(19.99, "usd"), 1999);
+  assert.equal(toMinorUnits(0.29, "usd"), 29);
+  assert.equal(toMinorUnits(500, "jpy"), 500);
+  assert.equal(toMinorUnits(1.5, "kwd"), 1500);
+  assert.equal(fromMinorUnits(1999, "usd"), 19.99);
+  assert.equal(fromMinorUnits(500, "jpy"), 500);
+  assert.equal(fromMinorUnits(1500, "kwd"), 1.5);
+});
+
+test("checkAmount rejects more decimals than the currency has", () => {
+  assert.equal(checkAmount(10.5, "jpy"), "JPY amounts cannot have decimals.");
+  assert.equal(
+    checkAmount(10.005, "usd"),
+    "USD amounts can have at most 2 decimals."
+  );
+  assert.equal(checkAmount(10.005, "kwd"), null);
+});
+
+test("checkAmount enforces the currency's limits", () => {
+  assert.equal(checkAmount(0.4, "usd"), "The minimum USD amount is 0.5.");
+  assert.equal(checkAmount(40, "jpy"), "The minimum JPY amount is 50.");
+  assert.equal(
+    checkAmount(1000000, "usd"),
+    "The maximum USD amount is 999999."
+  );
+  assert.equal(checkAmount(25, "usd"), null);
+});
+
+test("convertTotals sums totals into the base currency", () => {
+  const rates = { base: "usd", rates: { usd: 1, jpy: 0.0067 } };
+  assert.deepEqual(
+    convertTotals(
+      [
+        { currency: "usd", amountMinor: 1050 },
+        { currency: "jpy", amountMinor: 1000 },
+        { currency: "bdt", amountMinor: 50000 },
+      ],
+      rates
+    ),
+    { currency: "usd", amountMinor: 1720, amount: 17.2, unconverted: ["bdt"] }
+  );
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSON, ObjectId } = require("mongodb");
+const { encodeCursor, decodeCursor, afterCursor } = require("../pagination");
+
+const sort = [
+  ["neededOn", 1],
+  ["_id", 1],
+];
+
+const cursorOf = (values) =>
+  Buffer.from(BSON.EJSON.stringify(values)).toString("base64url");
+
+test("decodeCursor reads back what encodeCursor wrote", () => {
+  const _id = new ObjectId();
+  const cursor = encodeCursor({ neededOn: "2025-01-05", _id }, sort);
+  const [neededOn, id] = decodeCursor(cursor, sort);
+  assert.equal(neededOn, "2025-01-05");
+  assert.ok(id.equals(_id));
+});
+
+test("decodeCursor keeps a missing sort key as null", () => {
+  const _id = new ObjectId();
+  const cursor = encodeCursor({ _id }, sort);
+  assert.equal(decodeCursor(cursor, sort)[0], null);
+});
+
+test("decodeCursor rejects malformed cursors", () => {
+  assert.equal(decodeCursor("not a cursor", sort), null);
+  assert.equal(decodeCursor(cursorOf({ a: 1 }), sort), null);
+  assert.equal(decodeCursor(cursorOf(["2025-01-05"]), sort), null);
+});
+
+test("decodeCursor rejects operators and other unsafe values", () => {
+  const id = new ObjectId();
+  for (const value of [
+    { $gt: "" },
+    { $where: "sleep(1000)" },
+    /./,
+    ["a"],
+    new BSON.Code("1"),
+  ]) {
+    assert.equal(decodeCursor(cursorOf([value, id]), sort), null);
+  }
+});
+
+test("afterCursor pages past equal keys on the tie breaker", () => {
+  const id = new ObjectId();
+  assert.deepEqual(afterCursor(sort, ["2025-01-05", id]), {
+    $match: {
+      $or: [
+        { $and: [{ neededOn: { $gt: "2025-01-05" } }] },
+        { $and: [{ neededOn: "2025-01-05" }, { _id: { $gt: id } }] },
+      ],
+    },
+  });
+});
+
+test("afterCursor places nulls before every value ascending", () => {
+  const id = new ObjectId();
+  const { $match } = afterCursor(sort, [null, id]);
+  assert.deepEqual($match.$or[0], {
+    $and: [{ neededOn: { $ne: null } }],
+  });
+  assert.deepEqual($match.$or[1], {
+    $and: [{ neededOn: null }, { _id: { $gt: id } }],
+  });
+});
+
+test("afterCursor places nulls after every value descending", () => {
+  const descending = [
+    ["neededOn", -1],
+    ["_id", -1],
+  ];
+  const id = new ObjectId();
+  assert.deepEqual(afterCursor(descending, ["2025-01-05", id]).$match.$or[0], {
+    $and: [{ $or: [{ neededOn: { $lt: "2025-01-05" } }, { neededOn: null }] }],
+  });
+  assert.deepEqual(afterCursor(descending, [null, id]).$match.$or[0], {
+    $and: [{ neededOn: { $in: [] } }],
+  });
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { statusGuard } = require("../paymentStatus");
+
+// whether a stored status passes the guard, as mongo would evaluate $nin
+const allows = (guard, stored) => !guard.$nin.includes(stored);
+
+test("a late failure never undoes a completed or refunded payment", () => {
+  const guard = statusGuard("failed");
+  assert.equal(allows(guard, "pending"), true);
+  assert.equal(allows(guard, "failed"), true);
+  assert.equal(allows(guard, "completed"), false);
+  assert.equal(allows(guard, "refunded"), false);
+  assert.equal(allows(guard, "partially_refunded"), false);
+});
+
+test("a late success never undoes a refund", () => {
+  const guard = statusGuard("completed");
+  assert.equal(allows(guard, "pending"), true);
+  assert.equal(allows(guard, "failed"), true);
+  assert.equal(allows(guard, "completed"), true);
+  assert.equal(allows(guard, "refunded"), false);
+  assert.equal(allows(guard, "partially_refunded"), false);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { publicDonor, publicRequest } = require("../privacy");
+
+const EMAIL = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+
+// every string anywhere in the value, however deeply nested
+const strings = (value) => {
+  if (typeof value === "string") return [value];
+  if (value && typeof value === "object") {
+    return Object.values(value).flatMap(strings);
+  }
+  return [];
+};
+
+const request = {
+  _id: "r1",
+  requesterName: "Rahim",
+  requesterEmail: "rahim@example.com",
+  bloodGroup: "A+",
+  status: "inprogress",
+  donor: { name: "Karim", email: "karim@example.com" },
+  statusHistory: [
+    {
+      from: null,
+      to: "pending",
+      changedBy: "rahim@example.com",
+      role: "requester",
+      changedAt: "2025-01-01T00:00:00.000Z",
+    },
+    {
+      from: "pending",
+      to: "inprogress",
+      changedBy: "karim@example.com",
+      role: "donor",
+      changedAt: "2025-01-02T00:00:00.000Z",
+    },
+  ],
+};
+
+const donorUser = {
+  _id: "u1",
+  name: "Karim",
+  email: "karim@example.com",
+  phone: "01700000000",
+  bloodGroup: "A+",
+  district: "Dhaka",
+  upazila: "Mirpur",
+  privacy: { showUpazila: false },
+};
+
+test("publicRequest leaves no email anywhere in the output", () => {
+  for (const shown of [
+    publicRequest(request, donorUser),
+    publicRequest(request, undefined),
+    publicRequest({ ...request, donor: undefined }),
+  ]) {
+    assert.deepEqual(
+      strings(shown).filter((s) => EMAIL.test(s)),
+      []
+    );
+  }
+});
+
+test("publicRequest keeps the status history without who changed it", () => {
+  assert.deepEqual(publicRequest(request).statusHistory, [
+    { from: null, to: "pending", changedAt: "2025-01-01T00:00:00.000Z" },
+    {
+      from: "pending",
+      to: "inprogress",
+      changedAt: "2025-01-02T00:00:00.000Z",
+    },
+  ]);
+});
+
+test("publicRequest shows the donor per their privacy settings", () => {
+  const shown = publicRequest(request, donorUser);
+  assert.equal(shown.donor.name, "Karim");
+  assert.equal(shown.donor.upazila, null);
+  assert.equal(shown.donor.phone, undefined);
+  assert.deepEqual(publicRequest(request).donor, { name: "Karim" });
+});
+
+test("publicDonor never carries contact details", () => {
+  const shown = publicDonor(donorUser);
+  assert.equal(shown.email, undefined);
+  assert.equal(shown.phone, undefined);
+});
@@ -0,0 +1,112 @@
+// image uploads: multipart parsing, type/size checks and resized variants
+const crypto = require("crypto");
+const multer = require("multer");
+const sharp = require("sharp");
+
+const IMAGE_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+// per upload kind, the variants generated from the original. every variant
+// is re-encoded as webp, which also strips metadata such as GPS tags.
+const UPLOAD_KINDS = {
+  avatar: {
+    folder: "avatars",
+    fit: "cover",
+    variants: {
+      small: { width: 64, height: 64 },
+      medium: { width: 128, height: 128 },
+      large: { width: 256, height: 256 },
+    },
+    // the variant stored on the profile
+    primary: "medium",
+  },
+  blogThumbnail: {
+    folder: "blog-thumbnails",
+    fit: "inside",
+    variants: {
+      small: { width: 400 },
+      medium: { width: 800 },
+      large: { width: 1200 },
+    },
+    primary: "large",
+  },
+};
+
+const maxUploadBytes = () =>
+  (parseFloat(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024;
+
+// single image from multipart field `field` into req.file (kept in memory)
+const uploadImage = (field = "image") => {
+  const maxBytes = maxUploadBytes();
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES[file.mimetype]) {
+        const error = new Error(
+          `Only ${Object.keys(IMAGE_TYPES).join(", ")} images are allowed.`
+        );
+        error.status = 415;
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  }).single(field);
+
+  return (req, res, next) =>
+    parser(req, res, (err) => {
+      if (err?.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).send({
+          message: `Images must be at most ${maxBytes / 1024 / 1024} MB.`,
+        });
+      }
+      if (err) {
+        return res.status(err.status || 400).send({ message: err.message });
+      }
+      if (!req.file) {
+        return res
+          .status(400)
+          .send({ message: `Send the image in the "${field}" field.` });
+      }
+      next();
+    });
+};
+
+// resizes `buffer` into the variants of `kind` and stores them. the declared
+// MIME type is checked against the decoded image so renamed files are caught.
+// returns { url, variants: { name: url } }, or { error } for bad images.
+const processImage = async (storage, kind, file) => {
+  const config = UPLOAD_KINDS[kind];
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    return { error: "The file is not a readable image." };
+  }
+  if (metadata.format !== IMAGE_TYPES[file.mimetype]) {
+    return { error: "The file content does not match its image type." };
+  }
+
+  const id = crypto.randomUUID();
+  const variants = {};
+  for (const [name, size] of Object.entries(config.variants)) {
+    const buffer = await sharp(file.buffer)
+      .rotate()
+      .resize({ ...size, fit: config.fit, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    variants[name] = await storage.put(
+      `${config.folder}/${id}-${name}.webp`,
+      buffer,
+      "image/webp"
+    );
+  }
+
+  return { url: variants[config.primary], variants };
+};
+
+module.exports = { IMAGE_TYPES, UPLOAD_KINDS, uploadImage, processImage };
@@ -0,0 +1,590 @@
+// request schemas and the validate() middleware
+const { z } = require("zod");
+const { ObjectId } = require("mongodb");
+const {
+  BLOOD_GROUPS,
+  COMPONENTS,
+  normalizeBloodGroup,
+} = require("./bloodCompatibility");
+const { STATUSES, URGENCY_LEVELS } = require("./donationStatus");
+const { BLOG_STATUSES } = require("./blogWorkflow");
+const { sanitizeBlogHtml } = require("./sanitize");
+const { CAMPAIGN_STATUSES } = require("./campaigns");
+const { INTERVALS } = require("./recurringDonations");
+const { EXPORT_FORMATS, EXPORTS } = require("./exports");
+const { ANALYTICS_INTERVALS } = require("./analytics");
+const {
+  DEFAULT_PRIVACY,
+  CONTACT_REQUEST_STATUSES,
+  CONTACT_RESPONSES,
+} = require("./privacy");
+const { ORGANISATION_TYPES, STOCK_REASONS } = require("./inventory");
+const { AUDIT_TARGET_TYPES } = require("./auditLog");
+const {
+  CAMP_STATUSES,
+  REGISTRATION_STATUSES,
+  CAMP_OUTCOMES,
+} = require("./camps");
+
+const TRASH_TYPES = ["donationRequests", "blogs", "users"];
+
+// shared field types
+const text = (max = 200) => z.string().trim().min(1).max(max);
+// trimmed before checking, so pasted addresses with spaces still pass
+const email = z.string().trim().pipe(z.email());
+const objectId = z.string().refine(ObjectId.isValid, "Invalid ID format.");
+const bloodGroup = z.preprocess(
+  normalizeBloodGroup,
+  z.enum(BLOOD_GROUPS, { error: "Invalid blood group." })
+);
+// only web links, so stored urls cannot carry javascript: or data: payloads
+const url = z.url({ protocol: /^https?$/ }).max(2000);
+// numbers or numeric strings; an empty string would coerce to 0
+const coordinate = (min, max) =>
+  z
+    .union([z.number(), z.string().trim().min(1, "Expected a number.")])
+    .pipe(z.coerce.number().min(min).max(max));
+const latitude = coordinate(-90, 90);
+const longitude = coordinate(-180, 180);
+const date = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected a date as YYYY-MM-DD.");
+const time = z.string().regex(/^\d{2}:\d{2}$/, "Expected a time as HH:MM.");
+const flag = z.enum(["true", "false"]);
+// ISO date or date-time; a bare end date covers that whole day
+const rangeStart = z.union([z.iso.datetime(), z.iso.date()]);
+const rangeEnd = rangeStart.transform((value) =>
+  value.length === 10 ? `${value}T23:59:59.999Z` : value
+);
+const page = z.coerce.number().int().min(1).default(1);
+const limit = (max = 100, fallback = 10) =>
+  z.coerce.number().int().min(1).max(max).default(fallback);
+
+// format, columns (comma separated, defaulting to the dataset's usual ones)
+// and date range shared by the export routes, plus the listing's filters
+const exportQuery = (dataset, filters = {}) => {
+  const { columns, defaultColumns } = EXPORTS[dataset];
+  return z.object({
+    ...filters,
+    format: z.enum(EXPORT_FORMATS).default("csv"),
+    columns: z
+      .string()
+      .optional()
+      .transform((value) =>
+        value ? value.split(",").map((column) => column.trim()) : defaultColumns
+      )
+      .pipe(
+        z
+          .array(z.enum(Object.keys(columns), { error: "Unknown column." }))
+          .min(1)
+      ),
+    from: rangeStart.optional(),
+    to: rangeEnd.optional(),
+  });
+};
+
+// at least one field must survive stripping on partial updates
+const nonEmpty = (schema) =>
+  schema.refine((value) => Object.keys(value).length > 0, {
+    error: "Nothing to update.",
+  });
+
+const profile = {
+  name: text(100),
+  avatar: url,
+  bloodGroup,
+  gender: z.enum(["male", "female", "other"]),
+  phone: z.string().regex(/^\+?[0-9 -]{6,20}$/, "Invalid phone number."),
+  district: text(100),
+  upazila: text(100),
+  latitude,
+  longitude,
+};
+
+const donationRequest = {
+  requesterName: text(100),
+  requesterEmail: email,
+  recipientName: text(100),
+  district: text(100),
+  upazila: text(100),
+  hospitalName: text(200),
+  // a partner hospital; its name then fills hospitalName
+  hospitalId: objectId,
+  fullAddress: text(300),
+  bloodGroup,
+  donationDate: date,
+  donationTime: time,
+  requestMessage: text(2000),
+  urgency: z.enum(URGENCY_LEVELS),
+  latitude: latitude.optional(),
+  longitude: longitude.optional(),
+};
+
+const organisation = {
+  name: text(200),
+  type: z.enum(ORGANISATION_TYPES),
+  district: text(100),
+  upazila: text(100),
+  address: text(300),
+  phone: profile.phone,
+  email: email.optional(),
+  latitude: latitude.optional(),
+  longitude: longitude.optional(),
+};
+
+const campaign = {
+  title: text(200),
+  description: text(5000).optional(),
+  goalAmount: z.coerce.number().positive(),
+  currency: z.string().length(3).toLowerCase(),
+  startDate: date,
+  endDate: date,
+  status: z.enum(CAMPAIGN_STATUSES),
+};
+
+const camp = {
+  title: text(200),
+  description: text(5000).optional(),
+  date,
+  startTime: time,
+  endTime: time,
+  location: z.object({
+    name: text(200),
+    address: text(300),
+    district: text(100),
+    upazila: text(100),
+    latitude: latitude.optional(),
+    longitude: longitude.optional(),
+  }),
+  targetUnits: z.coerce.number().int().min(1).max(10000),
+  // empty means every group is welcome
+  bloodGroups: z.array(bloodGroup).max(8).default([]),
+};
+
+const blog = {
+  title: text(200),
+  thumbnail: url,
+  // stored already sanitized, so the client can render it as html
+  content: z
+    .string()
+    .max(100000)
+    .transform(sanitizeBlogHtml)
+    .pipe(z.string().min(1, "Content is empty once unsafe html is removed.")),
+};
+
+const schemas = {
+  idParams: z.object({ id: objectId }),
+  emailParams: z.object({ email }),
+  emailQuery: z.object({ email }),
+
+  createUser: z.object({
+    ...profile,
+    email,
+    avatar: url.optional(),
+    gender: profile.gender.optional(),
+    phone: profile.phone.optional(),
+    latitude: latitude.optional(),
+    longitude: longitude.optional(),
+  }),
+  updateUser: nonEmpty(
+    z
+      .object({
+        ...profile,
+        role: z.enum(["donor", "volunteer", "admin"]),
+        status: z.enum(["active", "blocked"]),
+      })
+      .partial()
+  ),
+  adminUpdateUser: nonEmpty(
+    z
+      .object({
+        role: z.enum(["donor", "volunteer", "admin"]),
+        status: z.enum(["active", "blocked"]),
+      })
+      .partial()
+  ),
+  usersListQuery: z.object({
+    page,
+    limit: limit(),
+    status: z.enum(["all", "active", "blocked"]).default("all"),
+  }),
+  usersExportQuery: exportQuery("users", {
+    status: z.enum(["all", "active", "blocked"]).default("all"),
+  }),
+
+  donorsQuery: z.object({
+    bloodGroup: bloodGroup.optional(),
+    district: text(100).optional(),
+    upazila: text(100).optional(),
+    requestId: objectId.optional(),
+    lat: latitude.optional(),
+    lng: longitude.optional(),
+    radius: z.coerce.number().positive().optional(),
+    fallback: flag.optional(),
+    minResults: z.coerce.number().int().min(1).max(100).optional(),
+    compatible: flag.optional(),
+    component: z.enum(COMPONENTS).default("whole"),
+    includeIneligible: flag.optional(),
+  }),
+
+  createDonationRequest: z
+    .object({
+      ...donationRequest,
+      hospitalName: donationRequest.hospitalName.optional(),
+      hospitalId: objectId.optional(),
+      urgency: donationRequest.urgency.default("normal"),
+    })
+    .refine((value) => value.hospitalName || value.hospitalId, {
+      error: "Either hospitalName or hospitalId is required.",
+      path: ["hospitalName"],
+    }),
+  updateDonationRequest: nonEmpty(
+    z
+      .object({
+        ...donationRequest,
+        status: z.enum(STATUSES),
+      })
+      .omit({ requesterName: true, requesterEmail: true })
+      .partial()
+  ),
+  donateAction: z
+    .object({
+      status: z.enum(STATUSES).optional(),
+      donorName: text(100).optional(),
+    })
+    .refine((value) => value.status || value.donorName, {
+      error: "Nothing to update. Provide status or donor info.",
+    }),
+  donationRequestsQuery: z.object({
+    q: text(200).optional(),
+    status: z.enum(STATUSES).optional(),
+    bloodGroup: z.union([z.literal("all"), bloodGroup]).optional(),
+    district: text(100).optional(),
+    upazila: text(100).optional(),
+    urgency: z.enum(URGENCY_LEVELS).optional(),
+    from: date.optional(),
+    to: date.optional(),
+    compatible: flag.optional(),
+    component: z.enum(COMPONENTS).default("whole"),
+    sort: z
+      .enum(["urgency", "newest", "oldest", "donationDate", "relevance"])
+      .default("urgency"),
+    // without cursor and limit the feed answers with a bare array, as it
+    // did before pagination
+    cursor: z.string().max(2000).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+  }),
+  myDonationRequestsQuery: z.object({
+    email,
+    status: z.enum(STATUSES).optional(),
+    page,
+    limit: limit(50, 5),
+  }),
+  adminDonationRequestsQuery: z.object({
+    page,
+    limit: limit(),
+    status: z.enum(["all", ...STATUSES]).default("all"),
+  }),
+  donationRequestsExportQuery: exportQuery("donationRequests", {
+    status: z.enum(["all", ...STATUSES]).default("all"),
+  }),
+
+  createBlog: z.object(blog),
+  updateBlog: nonEmpty(
+    z
+      .object({
+        ...blog,
+        status: z.enum(BLOG_STATUSES),
+        publishAt: z.iso.datetime(),
+        slug: z
+          .string()
+          .max(80)
+          .regex(
+            /^[a-z0-9\u0980-\u09ff]+(-[a-z0-9\u0980-\u09ff]+)*$/,
+            "Slugs are lowercase words joined by hyphens."
+          ),
+      })
+      .partial()
+  ),
+  blogsQuery: z.object({
+    role: z.string().optional(),
+    status: z.enum(BLOG_STATUSES).optional(),
+  }),
+  blogSlugParams: z.object({ slug: text(120) }),
+  blogRevisionParams: z.object({
+    id: objectId,
+    revision: z.coerce.number().int().min(1),
+  }),
+  blogRevisionDiffQuery: z.object({
+    against: z.coerce.number().int().min(1).optional(),
+  }),
+
+  notificationsQuery: z.object({
+    unread: flag.optional(),
+    page,
+    limit: limit(50, 20),
+  }),
+  availability: z
+    .object({
+      available: z.boolean(),
+      until: date.nullable().optional(),
+      quietHours: z.object({ start: time, end: time }).nullable().optional(),
+    })
+    .refine((value) => value.available === false || !value.until, {
+      error: "`until` only applies when marking yourself unavailable.",
+      path: ["until"],
+    }),
+  privacySettings: nonEmpty(
+    z
+      .object(
+        Object.fromEntries(
+          Object.keys(DEFAULT_PRIVACY).map((key) => [key, z.boolean()])
+        )
+      )
+      .partial()
+  ),
+  createContactRequest: z.object({
+    message: text(1000),
+    donationRequestId: objectId.optional(),
+  }),
+  contactRequestsQuery: z.object({
+    box: z.enum(["incoming", "outgoing"]).default("incoming"),
+    status: z.enum(CONTACT_REQUEST_STATUSES).optional(),
+  }),
+  respondContactRequest: z.object({
+    status: z.enum(Object.keys(CONTACT_RESPONSES)),
+  }),
+  notificationPreferences: nonEmpty(
+    z
+      .object({
+        inApp: z.boolean(),
+        email: z.boolean(),
+        sms: z.boolean(),
+      })
+      .partial()
+  ),
+
+  trashQuery: z.object({
+    type: z.enum(TRASH_TYPES),
+    page,
+    limit: limit(),
+  }),
+  trashItemParams: z.object({
+    type: z.enum(TRASH_TYPES),
+    id: objectId,
+  }),
+
+  auditLogQuery: z.object({
+    actor: email.optional(),
+    action: text(100).optional(),
+    targetType: z.enum(AUDIT_TARGET_TYPES).optional(),
+    targetId: text(100).optional(),
+    from: rangeStart.optional(),
+    to: rangeEnd.optional(),
+    page,
+    limit: limit(100, 20),
+  }),
+
+  createOrganisation: z.object(organisation),
+  updateOrganisation: nonEmpty(
+    z
+      .object({ ...organisation, status: z.enum(["active", "inactive"]) })
+      .partial()
+  ),
+  organisationsQuery: z.object({
+    type: z.enum(ORGANISATION_TYPES).optional(),
+    district: text(100).optional(),
+  }),
+  organisationStaff: z.object({ email }),
+  organisationStaffParams: z.object({ id: objectId, email }),
+  receiveStock: z.object({
+    bloodGroup,
+    component: z.enum(COMPONENTS).default("whole"),
+    units: z.coerce.number().int().positive(),
+    expiresOn: date,
+    batchRef: text(100).optional(),
+  }),
+  adjustStock: z
+    .object({
+      delta: z.coerce.number().int(),
+      reason: z.enum(STOCK_REASONS.filter((reason) => reason !== "received")),
+      note: text(500).optional(),
+    })
+    .refine((value) => value.delta !== 0, {
+      error: "delta cannot be 0.",
+      path: ["delta"],
+    }),
+  shortagesQuery: z.object({
+    district: text(100).optional(),
+    component: z.enum(COMPONENTS).optional(),
+  }),
+
+  createSlots: z
+    .object({
+      start: z.iso.datetime(),
+      end: z.iso.datetime(),
+      capacity: z.coerce.number().int().min(1).max(500),
+      // for camps and other places that are not a partner organisation
+      location: z
+        .object({
+          name: text(200),
+          address: text(300),
+          district: text(100),
+          upazila: text(100),
+        })
+        .optional(),
+    })
+    .refine((value) => value.end > value.start, {
+      error: "end must be after start.",
+      path: ["end"],
+    }),
+  slotsQuery: z.object({
+    organisationId: objectId.optional(),
+    district: text(100).optional(),
+    from: rangeStart.optional(),
+    to: rangeEnd.optional(),
+  }),
+  bookAppointment: z.object({
+    slotId: objectId,
+    donationRequestId: objectId.optional(),
+  }),
+  rescheduleAppointment: z.object({ slotId: objectId }),
+  calendarParams: z.object({
+    token: z.string().regex(/^[\w-]{32}\.ics$/, "Invalid calendar link."),
+  }),
+
+  createCamp: z
+    .object(camp)
+    .refine((value) => value.endTime > value.startTime, {
+      error: "endTime must be after startTime.",
+      path: ["endTime"],
+    }),
+  updateCamp: nonEmpty(
+    z
+      .object({
+        ...camp,
+        bloodGroups: camp.bloodGroups.removeDefault(),
+        // merged into the stored location, so single fields can change
+        location: camp.location.partial(),
+        status: z.enum(CAMP_STATUSES),
+      })
+      .partial()
+  ),
+  campsQuery: z.object({
+    district: text(100).optional(),
+    bloodGroup: bloodGroup.optional(),
+    from: date.optional(),
+    to: date.optional(),
+  }),
+  adminCampsQuery: z.object({
+    status: z.enum(CAMP_STATUSES).optional(),
+    from: date.optional(),
+    to: date.optional(),
+  }),
+  campRegistrationsQuery: z.object({
+    status: z.enum(REGISTRATION_STATUSES).optional(),
+  }),
+  campRegistrationParams: z.object({ id: objectId, registrationId: objectId }),
+  campCheckIn: z.object({ email }),
+  campOutcome: z
+    .object({
+      outcome: z.enum(CAMP_OUTCOMES),
+      // as tested at the camp; corrects the donor's profile group if different
+      bloodGroup: bloodGroup.optional(),
+      units: z.coerce.number().int().min(1).max(2).default(1),
+      deferralReason: text(500).optional(),
+    })
+    .refine((value) => value.outcome === "donated" || value.deferralReason, {
+      error: "A reason is required when deferring a donor.",
+      path: ["deferralReason"],
+    }),
+
+  createCampaign: z
+    .object({ ...campaign, status: campaign.status.default("draft") })
+    .refine((value) => value.endDate >= value.startDate, {
+      error: "endDate cannot be before startDate.",
+      path: ["endDate"],
+    }),
+  updateCampaign: nonEmpty(z.object(campaign).partial()),
+  campaignsQuery: z.object({
+    status: z.enum(["active", "closed"]).optional(),
+  }),
+  campaignLeaderboardQuery: z.object({ limit: limit(50, 10) }),
+
+  createPaymentIntent: z.object({
+    amount: z.coerce.number().positive(),
+    currency: z.string().length(3).toLowerCase().default("usd"),
+    email: email.optional(),
+    campaignId: objectId.optional(),
+    // hides the donor from campaign leaderboards
+    anonymous: z.boolean().default(false),
+    donorName: text(100).optional(),
+  }),
+  createRecurringDonation: z.object({
+    amount: z.coerce.number().positive(),
+    currency: z.string().length(3).toLowerCase().default("usd"),
+    interval: z.enum(INTERVALS).default("month"),
+    campaignId: objectId.optional(),
+    anonymous: z.boolean().default(false),
+    donorName: text(100).optional(),
+  }),
+  updateRecurringDonation: z.object({ paused: z.boolean() }),
+  myPaymentsQuery: z.object({ page, limit: limit(50, 10) }),
+  statementParams: z.object({
+    year: z.coerce.number().int().min(2000).max(2100),
+  }),
+  statementQuery: z.object({ email: email.optional() }),
+  paymentsExportQuery: exportQuery("payments"),
+
+  analyticsQuery: z.object({
+    interval: z.enum(ANALYTICS_INTERVALS).default("day"),
+    from: rangeStart.optional(),
+    to: rangeEnd.optional(),
+  }),
+  requestAnalyticsQuery: z.object({
+    interval: z.enum(ANALYTICS_INTERVALS).default("day"),
+    from: rangeStart.optional(),
+    to: rangeEnd.optional(),
+    district: text(100).optional(),
+    bloodGroup: bloodGroup.optional(),
+  }),
+  savePayment: z.object({
+    paymentIntentId: z.string().startsWith("pi_"),
+    email: email.optional(),
+  }),
+};
+
+// validates and replaces req.params/query/body with the parsed values,
+// which drops unknown fields. failures answer 400 with one entry per field.
+const validate = (parts) => (req, res, next) => {
+  const errors = [];
+
+  for (const [location, schema] of Object.entries(parts)) {
+    const result = schema.safeParse(req[location] ?? {});
+    if (!result.success) {
+      result.error.issues.forEach((issue) =>
+        errors.push({
+          location,
+          field: issue.path.join(".") || null,
+          message: issue.message,
+        })
+      );
+      continue;
+    }
+
+    // req.query is a getter in express 5, so shadow it on the request
+    Object.defineProperty(req, location, {
+      value: result.data,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).send({ message: "Validation failed.", errors });
+  }
+  next();
+};
+
+module.exports = { schemas, validate };
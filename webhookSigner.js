@@ -0,0 +1,62 @@
+// posts a locally signed stripe event to the running server for testing
+// usage: node webhookSigner.js <type> <paymentIntentId> [amount] [email]
+// e.g.   node webhookSigner.js payment_intent.succeeded pi_test_1 25 a@b.com
+// WEBHOOK_CURRENCY picks the currency (default usd)
+require("dotenv").config();
+const Stripe = require("stripe");
+const { toMinorUnits } = require("./money");
+
+const [
+  type = "payment_intent.succeeded",
+  intentId = "pi_test",
+  amount = 10,
+  email,
+] = process.argv.slice(2);
+const url =
+  process.env.WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/stripe-webhook`;
+
+const currency = process.env.WEBHOOK_CURRENCY || "usd";
+const minor = toMinorUnits(Number(amount), currency);
+const object = type.startsWith("charge.")
+  ? {
+      id: `ch_${Date.now()}`,
+      object: "charge",
+      payment_intent: intentId,
+      amount: minor,
+      amount_refunded: minor,
+      currency,
+      refunded: true,
+    }
+  : {
+      id: intentId,
+      object: "payment_intent",
+      amount: minor,
+      currency,
+      created: Math.floor(Date.now() / 1000),
+      metadata: email ? { email } : {},
+      last_payment_error:
+        type === "payment_intent.payment_failed"
+          ? { message: "Your card was declined." }
+          : null,
+    };
+
+const payload = JSON.stringify({
+  id: `evt_${Date.now()}`,
+  object: "event",
+  type,
+  data: { object },
+});
+
+const header = Stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+fetch(url, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", "Stripe-Signature": header },
+  body: payload,
+})
+  .then(async (res) => console.log(res.status, await res.text()))
+  .catch(console.error);